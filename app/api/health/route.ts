@@ -1,9 +1,10 @@
 import { NextResponse } from "next/server";
 
+// Static config only; the game server's own /healthz and /readyz report the live runtime.
 export async function GET() {
   const region = process.env.RAILWAY_REGION || process.env.AWS_REGION || process.env.FLY_REGION || "unknown";
   const simHz = Number(process.env.SIM_TICK_HZ || 60);
-  const netHz = Number(process.env.NETWORK_HZ || 30);
+  const netHz = Number(process.env.NETWORK_HZ || 60);
   return NextResponse.json({
     status: "ok",
     service: "space-craft",
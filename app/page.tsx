@@ -15,6 +15,9 @@ type PlayerState = {
   shield: number;
   weaponLevel: number;
   alive: boolean;
+  frozen?: boolean;
+  slot?: number;
+  teamId?: string | null;
   specialWeapon?: string | null;
   specialUses?: number;
   laserActiveMs?: number;
@@ -33,6 +36,7 @@ type ProjectileState = {
 };
 
 type EffectState = {
+  id: string;
   type: string;
   x: number;
   y: number;
@@ -52,7 +56,8 @@ type WorldState = {
 };
 
 type SnapshotFrame = {
-  t: number;
+  t: number; // performance.now() time of the frame's server tick when onClock, else arrival time
+  onClock: boolean;
   serverTick: number;
   state: WorldState;
 };
@@ -65,14 +70,20 @@ type InputPayload = {
   fire_seq?: number;
   lag_comp_ms?: number;
   client_sent_at_ms?: number;
+  tick?: number;
+  cmd_seq?: number;
+  redundant?: InputPayload[];
 };
 
 type LocalHit = { id: string; pid: string; t: number };
 type PendingInput = { transportSeq: number; payload: InputPayload; dtSec: number };
+type SentCommand = { transportSeq: number; command: InputPayload };
 type PerfHud = { fps: number; netGapMs: number; jitterMs: number; pendingInputs: number };
 type NetDebugHud = { mode: string; transport: string; rttMs: number | null };
 type ServerDebugHud = { region: string; simHz: number | null; netHz: number | null };
 type LogLine = { id: number; ts: string; text: string };
+type Camera = { x: number; y: number; zoom: number };
+type DrawView = { camera?: Camera | null; spectating?: boolean; friendlyFire?: boolean };
 
 declare global {
   interface Window {
@@ -93,11 +104,33 @@ const INPUT_SEND_MS_HIGH_RTT = 50;
 const HIGH_RTT_THRESHOLD = 100;
 const INTERP_DELAY_MS_LAN = Number(process.env.NEXT_PUBLIC_INTERP_DELAY_MS || 10);
 const INTERP_DELAY_MS_HIGH = 100; // Increased to 100ms for stable high-RTT buffer
+const INTERP_DELAY_MS_MAX = 250; // cap on the clock-derived interpolation delay
 const UI_TICK_UPDATE_EVERY = 2;
 const MAX_PENDING_INPUTS = 120;
 const IMMEDIATE_INPUT_MIN_GAP_MS = 12;
 const MAX_RENDER_DELTA_MS = 64;
 const EXPECTED_NET_UPDATE_MS = 18;
+const DEFAULT_SIM_HZ = 60; // when a state frame does not say
+const SERVER_STATE_HISTORY = 120; // acked states kept as delta baselines (the server keeps ~1s)
+const SERVER_TICK_MS = 1000 / DEFAULT_SIM_HZ;
+const INPUT_LEAD_TICKS_INITIAL = 3; // inputs are stamped this many ticks past the estimated server tick
+const INPUT_LEAD_TICKS_MIN = 1;
+const INPUT_LEAD_TICKS_MAX = 10; // the server pulls in anything stamped further ahead
+const MAX_REPLAY_TICKS = 60; // stamped-input prediction never runs further ahead of the server than this
+const INPUT_REDUNDANCY = 4; // unacked commands repeated in each input frame, so one lost frame drops nothing
+const SPECTATOR_CAMERA_ZOOM = 1.8;
+
+// Ship palette: index 0 is always the local player, the rest go by slot.
+const SHIP_COLORS = [
+  { fill: "#22d3ee", stroke: "#67e8f9", rgb: "34,211,238" },
+  { fill: "#f59e0b", stroke: "#fbbf24", rgb: "245,158,11" },
+  { fill: "#a3e635", stroke: "#bef264", rgb: "163,230,53" },
+  { fill: "#f472b6", stroke: "#f9a8d4", rgb: "244,114,182" },
+  { fill: "#818cf8", stroke: "#a5b4fc", rgb: "129,140,248" },
+  { fill: "#f87171", stroke: "#fca5a5", rgb: "248,113,113" },
+  { fill: "#34d399", stroke: "#6ee7b7", rgb: "52,211,153" },
+  { fill: "#e879f9", stroke: "#f0abfc", rgb: "232,121,249" },
+];
 
 const FIRE_COOLDOWN_MS = 160;
 const PROJECTILE_SPEED = 70;
@@ -122,6 +155,13 @@ function getInterpDelayMs(rttMs: number): number {
   return INTERP_DELAY_MS_HIGH;
 }
 
+// With a synced clock, frames sit on the server's timeline. Render far enough
+// behind it that the next frame has almost always arrived: how late frames
+// usually land, twice their wobble, one send interval and the clock's error.
+function getClockInterpDelayMs(lateMs: number, lateDevMs: number, netMs: number, errorMs: number): number {
+  return clamp(lateMs + 2 * lateDevMs + netMs + errorMs, INTERP_DELAY_MS_LAN, INTERP_DELAY_MS_MAX);
+}
+
 const TURN_RATE = 3.8;
 const ACCEL_FORWARD = 55;
 const ACCEL_REVERSE = 28;
@@ -188,6 +228,9 @@ function cloneWorld(state: AnyObj): WorldState {
       shield: Number(pp.shield || 0),
       weaponLevel: Number(pp.weaponLevel || 1),
       alive: Boolean(pp.alive),
+      frozen: Boolean(pp.frozen),
+      slot: pp.slot == null ? undefined : Number(pp.slot),
+      teamId: pp.teamId == null ? null : String(pp.teamId),
       specialWeapon: pp.specialWeapon ? String(pp.specialWeapon) : null,
       specialUses: Number(pp.specialUses || 0),
       laserActiveMs: Number(pp.laserActiveMs || 0),
@@ -201,7 +244,19 @@ function cloneWorld(state: AnyObj): WorldState {
     players,
     projectiles: (state?.projectiles || []).map((x: AnyObj) => toProjectile(x)),
     pickups: (state?.pickups || []).map((x: AnyObj) => ({ id: String(x.id || ""), x: Number(x.x || 0), y: Number(x.y || 0), type: String(x.type || "") })),
-    effects: (state?.effects || []).map((x: AnyObj) => ({ type: String(x.type || ""), x: Number(x.x || 0), y: Number(x.y || 0), radius: Number(x.radius || 0), ownerId: String(x.ownerId || ""), ttlMs: Number(x.ttlMs || 0) })),
+    effects: (state?.effects || []).map((x: AnyObj) => toEffect(x)),
+  };
+}
+
+function toEffect(raw: AnyObj): EffectState {
+  return {
+    id: String(raw?.id || ""),
+    type: String(raw?.type || ""),
+    x: Number(raw?.x || 0),
+    y: Number(raw?.y || 0),
+    radius: Number(raw?.radius || 0),
+    ownerId: String(raw?.ownerId || ""),
+    ttlMs: Number(raw?.ttlMs || 0),
   };
 }
 
@@ -213,11 +268,13 @@ function patchEntitiesById<T extends { id: string }>(
   const byId = new Map<string, T>();
   for (const item of base || []) byId.set(String(item.id), item);
 
+  // Known entities get only their changed fields; new ones arrive whole.
   if (Array.isArray(patch)) {
     for (const raw of patch) {
       if (!raw || raw.id === undefined || raw.id === null) continue;
       const id = String(raw.id);
-      byId.set(id, raw as T);
+      const prev = byId.get(id);
+      byId.set(id, (prev ? { ...prev, ...raw } : raw) as T);
     }
   }
 
@@ -228,6 +285,10 @@ function patchEntitiesById<T extends { id: string }>(
   return Array.from(byId.values());
 }
 
+// Binary frames are decoded by the SDK into the same payload shape, so JSON and
+// binary deltas merge identically here. base must be the last server state as
+// received: deltas carry only changed fields, so anything blended into base
+// would stick.
 function mergeDelta(base: WorldState | null, data: AnyObj): WorldState | null {
   if (!base) {
     if (!data?.full_state) return null;
@@ -242,8 +303,11 @@ function mergeDelta(base: WorldState | null, data: AnyObj): WorldState | null {
   const basePlayers = base.players || {};
   let players = basePlayers;
   if (changed.players) {
-    const changedPlayers = cloneWorld({ players: changed.players }).players;
-    players = { ...basePlayers, ...changedPlayers };
+    const patched: AnyObj = {};
+    for (const [pid, patch] of Object.entries(changed.players as Record<string, AnyObj>)) {
+      patched[pid] = basePlayers[pid] ? { ...basePlayers[pid], ...patch } : patch;
+    }
+    players = { ...basePlayers, ...cloneWorld({ players: patched }).players };
   }
 
   let projectiles = base.projectiles;
@@ -264,23 +328,23 @@ function mergeDelta(base: WorldState | null, data: AnyObj): WorldState | null {
     ).map((x: AnyObj) => ({ id: String(x.id || ""), x: Number(x.x || 0), y: Number(x.y || 0), type: String(x.type || "") }));
   }
 
-  // Effects are always replaced wholesale (they have TTL-based lifecycle)
-  let effects = base.effects || [];
-  if (changed.effects) {
-    effects = (changed.effects as AnyObj[]).map((x: AnyObj) => ({
-      type: String(x.type || ""),
-      x: Number(x.x || 0),
-      y: Number(x.y || 0),
-      radius: Number(x.radius || 0),
-      ownerId: String(x.ownerId || ""),
-      ttlMs: Number(x.ttlMs || 0),
-    }));
-  }
+  // Effects are sent once, when they spawn, so the ones held here are aged by
+  // the sim ticks since base; the server lists them as removed when they expire.
+  const nextTick = changed.tick !== undefined ? Number(changed.tick) : base.tick;
+  const agedMs = Math.max(0, nextTick - base.tick) * (1000 / (Number(data.sim_hz) || DEFAULT_SIM_HZ));
+  const agedEffects = (base.effects || [])
+    .map((fx) => ({ ...fx, ttlMs: fx.ttlMs - agedMs }))
+    .filter((fx) => fx.ttlMs > 0);
+  const effects = patchEntitiesById(
+    agedEffects,
+    changed.effects as AnyObj[] | undefined,
+    removed.effects as string[] | undefined,
+  ).map((x: AnyObj) => toEffect(x));
 
   const merged: WorldState = {
     ...base,
     phase: changed.phase !== undefined ? String(changed.phase) : base.phase,
-    tick: changed.tick !== undefined ? Number(changed.tick) : base.tick,
+    tick: nextTick,
     remainingMs: changed.remainingMs !== undefined ? Number(changed.remainingMs) : base.remainingMs,
     players,
     projectiles: projectiles.map((x: AnyObj) => toProjectile(x)),
@@ -291,6 +355,14 @@ function mergeDelta(base: WorldState | null, data: AnyObj): WorldState | null {
   return merged;
 }
 
+// Move the input lead toward the server's jitter-buffer target: at most a tick
+// earlier per report, up to two later (at least one when inputs arrived late).
+function nextInputLead(current: number, status: AnyObj): number {
+  let step = Math.round(Number(status?.adjust_ticks || 0));
+  if (Number(status?.late || 0) > 0) step = Math.max(step, 1);
+  return clamp(current + clamp(step, -1, 2), INPUT_LEAD_TICKS_MIN, INPUT_LEAD_TICKS_MAX);
+}
+
 function lerpAngle(a: number, b: number, t: number): number {
   let d = b - a;
   while (d > Math.PI) d -= Math.PI * 2;
@@ -572,6 +644,30 @@ function serverReconcilePlayer(
   return predicted;
 }
 
+// Tick-stamped inputs run on the server from their tick until the next one
+// lands, so replay them tick by tick: from the server state's tick (holding
+// the input the server holds) up to the newest stamped tick.
+function replayStampedInputs(
+  serverState: PlayerState,
+  serverTick: number,
+  held: InputPayload | null,
+  pendingInputs: PendingInput[],
+): PlayerState {
+  let predicted = { ...serverState };
+  let input: InputPayload = held || { turn: 0, thrust: 0, fire: false };
+  const last = pendingInputs[pendingInputs.length - 1];
+  const endTick = Math.min(Number(last?.payload.tick ?? serverTick), serverTick + MAX_REPLAY_TICKS);
+  let next = 0;
+  for (let tick = serverTick + 1; tick <= endTick; tick++) {
+    while (next < pendingInputs.length && Number(pendingInputs[next].payload.tick) <= tick) {
+      input = pendingInputs[next].payload;
+      next += 1;
+    }
+    predicted = applyInputToPlayer(predicted, input, SERVER_TICK_MS / 1000);
+  }
+  return predicted;
+}
+
 export default function Page() {
   const canvasRef = useRef<HTMLCanvasElement | null>(null);
 
@@ -581,7 +677,13 @@ export default function Page() {
   const [joined, setJoined] = useState(false);
   const [gameStarted, setGameStarted] = useState(false);
   const [joining, setJoining] = useState(false);
+  const [queueing, setQueueing] = useState(false);
+  const [matchEnded, setMatchEnded] = useState(false);
+  const [rematchRequested, setRematchRequested] = useState(false);
+  const [spectating, setSpectating] = useState(false);
+  const [followId, setFollowId] = useState("");
   const [playerCount, setPlayerCount] = useState(0);
+  const [maxPlayers, setMaxPlayers] = useState(2);
   const [serverTick, setServerTick] = useState(0);
   const [perfHud, setPerfHud] = useState<PerfHud>({ fps: 0, netGapMs: 0, jitterMs: 0, pendingInputs: 0 });
   const [netDebugHud, setNetDebugHud] = useState<NetDebugHud>({ mode: "unknown", transport: "-", rttMs: null });
@@ -589,11 +691,17 @@ export default function Page() {
   const [logLines, setLogLines] = useState<LogLine[]>([]);
 
   const worldRef = useRef<WorldState | null>(null);
+  const serverWorldRef = useRef<WorldState | null>(null); // unblended, as last received
+  const serverStatesRef = useRef<Map<number, WorldState>>(new Map()); // network_tick -> unblended state, delta baselines
   const snapshotsRef = useRef<SnapshotFrame[]>([]);
   const keysRef = useRef({ up: false, down: false, left: false, right: false, fire: false });
   const pendingInputsRef = useRef<PendingInput[]>([]);
+  const heldInputRef = useRef<InputPayload | null>(null); // newest stamped input the server has reached
   const lastAckSeqRef = useRef(0);
   const lastNetworkTickRef = useRef(0);
+  const inputLeadTicksRef = useRef(INPUT_LEAD_TICKS_INITIAL);
+  const inputCmdSeqRef = useRef(0);
+  const unackedCommandsRef = useRef<SentCommand[]>([]);
 
   const inputTimerRef = useRef<number | null>(null);
   const perfHudTimerRef = useRef<number | null>(null);
@@ -602,7 +710,12 @@ export default function Page() {
   const rafRef = useRef<number | null>(null);
   const connectGuardRef = useRef(false);
   const handlersBoundRef = useRef(false);
+  const intentionalDisconnectRef = useRef(false);
+  const spectatingRef = useRef(false);
+  const friendlyFireRef = useRef(false);
+  const followIdRef = useRef(""); // spectator camera target, "" = whole arena
   const activeRoomIdRef = useRef("");
+  const matchedRoomIdRef = useRef(""); // room reserved for us by matchmaking, if any
   const myIdRef = useRef("");
   const lastUiTickRef = useRef(0);
   const lastHudUpdateRef = useRef(0);
@@ -619,7 +732,7 @@ export default function Page() {
   const joinedRef = useRef(false);
   const gameStartedRef = useRef(false);
   const sendImmediateInputRef = useRef<() => void>(() => { });
-  const netStatsRef = useRef({ lastPacketAt: 0, emaGapMs: 0, jitterMs: 0 });
+  const netStatsRef = useRef({ lastPacketAt: 0, emaGapMs: 0, jitterMs: 0, lateMs: 0, lateDevMs: 0 });
   const fpsWindowRef = useRef({ startedAt: 0, frames: 0 });
   const pingRef = useRef({ sentAt: 0, emaRttMs: 0 });
   const logSeqRef = useRef(0);
@@ -628,10 +741,39 @@ export default function Page() {
 
   joinedRef.current = joined;
   gameStartedRef.current = gameStarted;
+  spectatingRef.current = spectating;
 
   useEffect(() => {
     if (window.Usion?._initialized) return;
-    window.Usion?.init?.();
+    const params = new URLSearchParams(window.location.search);
+    if (params.get("dev") !== "1") {
+      window.Usion?.init?.();
+      return;
+    }
+    // Local dev stack (DEV_STACK=1): no parent app, so fetch a config for this tab.
+    // Each tab keeps its own user so two tabs can play each other.
+    params.delete("dev");
+    if (!params.get("user")) {
+      const key = "space-craft-dev-user";
+      let user = window.sessionStorage.getItem(key);
+      if (!user) {
+        user = `dev-${Math.random().toString(36).slice(2, 8)}`;
+        window.sessionStorage.setItem(key, user);
+      }
+      params.set("user", user);
+    }
+    fetch(`/dev/config?${params.toString()}`)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status} (is the server running with DEV_STACK=1?)`);
+        return res.json();
+      })
+      .then((config) => {
+        window.Usion?.initStandalone?.(config);
+        appendLog(`Dev stack: playing as ${String(config.userId)} in ${String(config.roomId)}`);
+        setStatus("Dev stack ready");
+      })
+      .catch((err) => setStatus(`Dev stack unavailable: ${String(err?.message || err)}`));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
   function appendLog(text: string) {
@@ -660,7 +802,23 @@ export default function Page() {
       lag_comp_ms: (pingRef.current.emaRttMs / 2) + 15, // Send measured RTT/2 + 15ms buffer
       client_sent_at_ms: Date.now(),
     };
-    usion.game.realtime("control", inputWithTiming);
+    // Stamp the server tick this input is meant for: the tick the synced clock
+    // says the server will be on when it lands (now plus the one-way trip),
+    // plus the lead the server's buffer asks for. Until the clock is synced,
+    // estimate from the last tick heard of and the time since.
+    const clock = usion.game.clockStatus?.();
+    const serverTickNow = usion.game.serverTick?.();
+    if (serverTickNow != null && clock?.tick_ms) {
+      const landsAt = serverTickNow + clock.rtt_ms / 2 / clock.tick_ms;
+      inputWithTiming.tick = Math.floor(landsAt) + inputLeadTicksRef.current;
+    } else if (lastNetworkTickRef.current > 0 && netStatsRef.current.lastPacketAt > 0) {
+      const sinceTicks = Math.floor((performance.now() - netStatsRef.current.lastPacketAt) / SERVER_TICK_MS);
+      inputWithTiming.tick = lastNetworkTickRef.current + sinceTicks + inputLeadTicksRef.current;
+    }
+    inputWithTiming.cmd_seq = (inputCmdSeqRef.current += 1);
+    // Repeat the commands the server has not acked yet; it skips the copies it already has.
+    const redundant = unackedCommandsRef.current.map((sent) => sent.command);
+    usion.game.realtime("control", redundant.length > 0 ? { ...inputWithTiming, redundant } : inputWithTiming);
 
     const effectiveInputMs = getInputSendMs(pingRef.current.emaRttMs);
     const prevSentAt = lastInputSentAtRef.current || sentAtMs - effectiveInputMs;
@@ -668,6 +826,8 @@ export default function Page() {
     lastInputSentAtRef.current = sentAtMs;
 
     const transportSeq = Number(usion?.game?._directSeq || 0);
+    unackedCommandsRef.current.push({ transportSeq, command: inputWithTiming });
+    if (unackedCommandsRef.current.length > INPUT_REDUNDANCY) unackedCommandsRef.current.shift();
     if (!BRUTAL_CLIENT_SIDE_MODE && transportSeq > 0) {
       pendingInputsRef.current.push({ transportSeq, payload: inputWithTiming, dtSec });
       if (pendingInputsRef.current.length > MAX_PENDING_INPUTS) {
@@ -695,7 +855,7 @@ export default function Page() {
   }
 
   sendImmediateInputRef.current = () => {
-    if (!joinedRef.current || !gameStartedRef.current) return;
+    if (!joinedRef.current || !gameStartedRef.current || spectatingRef.current) return;
 
     const usion = window.Usion;
     if (!usion?.game) return;
@@ -707,8 +867,24 @@ export default function Page() {
     lastImmediateInputSentAtRef.current = now;
   };
 
+  function cycleCamera() {
+    const ids = Object.keys(worldRef.current?.players || {}).sort();
+    const order = ["", ...ids];
+    const idx = order.indexOf(followIdRef.current);
+    const next = order[(idx + 1) % order.length] || "";
+    followIdRef.current = next;
+    setFollowId(next);
+  }
+
   useEffect(() => {
     const onKeyDown = (event: KeyboardEvent) => {
+      if (spectatingRef.current) {
+        if (event.key === "Tab") {
+          event.preventDefault();
+          cycleCamera();
+        }
+        return;
+      }
       if (isControlKey(event)) event.preventDefault();
 
       const k = event.key.toLowerCase();
@@ -737,6 +913,7 @@ export default function Page() {
     };
 
     const onKeyUp = (event: KeyboardEvent) => {
+      if (spectatingRef.current) return;
       if (isControlKey(event)) event.preventDefault();
 
       const k = event.key.toLowerCase();
@@ -878,7 +1055,7 @@ export default function Page() {
     const usion = window.Usion;
     if (!usion?.game) return;
 
-    if (gameStarted && joined && !inputTimerRef.current) {
+    if (gameStarted && joined && !spectating && !inputTimerRef.current) {
       lastInputSentAtRef.current = performance.now() - INPUT_SEND_MS_BASE;
       lastSentFireRef.current = false;
       // Use setTimeout loop for adaptive rate based on RTT
@@ -891,11 +1068,11 @@ export default function Page() {
       inputTimerRef.current = window.setTimeout(scheduleInput, getInputSendMs(pingRef.current.emaRttMs));
     }
 
-    if ((!gameStarted || !joined) && inputTimerRef.current) {
+    if ((!gameStarted || !joined || spectating) && inputTimerRef.current) {
       window.clearTimeout(inputTimerRef.current);
       inputTimerRef.current = null;
     }
-  }, [gameStarted, joined]);
+  }, [gameStarted, joined, spectating]);
 
   useEffect(() => {
     return () => {
@@ -907,11 +1084,14 @@ export default function Page() {
       predictedProjectilesRef.current = [];
       localFireSeqRef.current = 0;
       pendingInputsRef.current = [];
+      heldInputRef.current = null;
+      unackedCommandsRef.current = [];
       localFireCooldownMsRef.current = 0;
       lastRenderAtRef.current = null;
       lastSentFireRef.current = false;
-      netStatsRef.current = { lastPacketAt: 0, emaGapMs: 0, jitterMs: 0 };
+      netStatsRef.current = { lastPacketAt: 0, emaGapMs: 0, jitterMs: 0, lateMs: 0, lateDevMs: 0 };
       pingRef.current = { sentAt: 0, emaRttMs: 0 };
+      intentionalDisconnectRef.current = true;
       try { window.Usion?.game?.disconnect?.(); } catch { }
     };
   }, []);
@@ -927,11 +1107,16 @@ export default function Page() {
     const frameDtSec = frameDtMs / 1000;
     lastRenderAtRef.current = now;
 
-    const target = now - getInterpDelayMs(pingRef.current.emaRttMs);
     const snapshots = snapshotsRef.current;
-
     if (snapshots.length === 0) return;
 
+    const clock = window.Usion?.game?.clockStatus?.();
+    const stats = netStatsRef.current;
+    const interpDelayMs = snapshots[snapshots.length - 1].onClock && clock?.synced
+      ? getClockInterpDelayMs(stats.lateMs, stats.lateDevMs, Number(clock.net_ms) || EXPECTED_NET_UPDATE_MS, clock.error_ms)
+      : getInterpDelayMs(pingRef.current.emaRttMs);
+    const target = now - interpDelayMs;
+
     let renderState: WorldState;
     if (snapshots.length === 1 || target <= snapshots[0].t) {
       renderState = snapshots[0].state;
@@ -993,7 +1178,11 @@ export default function Page() {
           // Dead — just use the server state, no prediction
           predictedMe = { ...newestMe };
         } else {
-          predictedMe = serverReconcilePlayer(newestMe, pendingInputsRef.current);
+          const pending = pendingInputsRef.current;
+          const newestTick = snapshots[snapshots.length - 1].serverTick;
+          predictedMe = newestTick > 0 && pending.every((ev) => ev.payload.tick !== undefined)
+            ? replayStampedInputs(newestMe, newestTick, heldInputRef.current, pending)
+            : serverReconcilePlayer(newestMe, pending);
 
           // Always extrapolate forward with current input for sub-tick smoothness.
           // Even with zero input, the ship has velocity that must advance each frame
@@ -1039,7 +1228,30 @@ export default function Page() {
       };
     }
 
-    drawWorld(renderState, canvas, myPid, localHitsRef.current);
+    if (spectatingRef.current) {
+      const followed = renderState.players[followIdRef.current];
+      const camera = followed ? { x: followed.x, y: followed.y, zoom: SPECTATOR_CAMERA_ZOOM } : null;
+      drawWorld(renderState, canvas, followIdRef.current, localHitsRef.current, { camera, spectating: true });
+      return;
+    }
+
+    drawWorld(renderState, canvas, myPid, localHitsRef.current, { friendlyFire: friendlyFireRef.current });
+  }
+
+  /** Series score keyed by player id (or team id in team mode). */
+  function seriesScoreText(score: AnyObj | undefined): string {
+    return Object.entries(score || {})
+      .map(([side, wins]) => `${side === myIdRef.current ? "you" : side} ${Number(wins)}`)
+      .join(" : ");
+  }
+
+  function isSpectateRequested(): boolean {
+    return new URLSearchParams(window.location.search).get("spectate") === "1";
+  }
+
+  // Binary state frames by default; ?wire=json keeps them readable in devtools.
+  function getWireFormat(): "binary" | "json" {
+    return new URLSearchParams(window.location.search).get("wire") === "json" ? "json" : "binary";
   }
 
   function getConfigRoomId(): string {
@@ -1065,15 +1277,17 @@ export default function Page() {
       });
     }
     const packetNow = performance.now();
+    const clock = window.Usion?.game?.clockStatus?.();
+    const expectedGapMs = Number(clock?.net_ms) || EXPECTED_NET_UPDATE_MS;
     if (netStatsRef.current.lastPacketAt > 0) {
       const gapMs = packetNow - netStatsRef.current.lastPacketAt;
-      const prevEma = netStatsRef.current.emaGapMs || EXPECTED_NET_UPDATE_MS;
+      const prevEma = netStatsRef.current.emaGapMs || expectedGapMs;
       const emaGap = prevEma * 0.85 + gapMs * 0.15;
       const jitterMs = netStatsRef.current.jitterMs * 0.85 + Math.abs(gapMs - emaGap) * 0.15;
       netStatsRef.current.emaGapMs = emaGap;
       netStatsRef.current.jitterMs = jitterMs;
     } else {
-      netStatsRef.current.emaGapMs = EXPECTED_NET_UPDATE_MS;
+      netStatsRef.current.emaGapMs = expectedGapMs;
       netStatsRef.current.jitterMs = 0;
     }
     netStatsRef.current.lastPacketAt = packetNow;
@@ -1084,8 +1298,24 @@ export default function Page() {
       lastNetworkTickRef.current = tick;
     }
 
-    const merged = mergeDelta(worldRef.current, data);
-    if (!merged) return;
+    // Deltas name the acked state they were built on; one whose baseline we no
+    // longer hold is skipped, and the server re-sends against our latest ack.
+    const hasBase = data.changed_entities && data.base_network_tick !== undefined;
+    const base = hasBase ? serverStatesRef.current.get(Number(data.base_network_tick)) : serverWorldRef.current;
+    if (hasBase && !base) return;
+    const serverWorld = mergeDelta(base || null, data);
+    if (!serverWorld) return;
+    serverWorldRef.current = serverWorld;
+    if (data.network_tick !== undefined) {
+      const networkTick = Number(data.network_tick);
+      const states = serverStatesRef.current;
+      states.set(networkTick, serverWorld);
+      while (states.size > SERVER_STATE_HISTORY) {
+        states.delete(states.keys().next().value as number);
+      }
+      window.Usion?.game?.stateAck?.(networkTick);
+    }
+    const merged = { ...serverWorld };
 
     const myPid = myIdRef.current;
     if (BRUTAL_CLIENT_SIDE_MODE && myPid && brutalLocalPlayerRef.current) {
@@ -1096,18 +1326,48 @@ export default function Page() {
     }
     worldRef.current = merged;
 
+    const ack = myPid ? Number(data?.ack_seq_by_player?.[myPid] || 0) : 0;
+    if (ack > 0) {
+      unackedCommandsRef.current = unackedCommandsRef.current.filter((sent) => sent.transportSeq > ack);
+    }
     if (myPid && !BRUTAL_CLIENT_SIDE_MODE) {
-      const ack = Number(data?.ack_seq_by_player?.[myPid] || 0);
-      if (ack > lastAckSeqRef.current) {
-        lastAckSeqRef.current = ack;
-        pendingInputsRef.current = pendingInputsRef.current.filter((ev) => ev.transportSeq > ack);
+      if (ack > lastAckSeqRef.current) lastAckSeqRef.current = ack;
+      // Stamped inputs leave the replay once the server has simulated their
+      // tick, the newest of them being the one it keeps applying; unstamped
+      // ones once acked.
+      const kept: PendingInput[] = [];
+      for (const ev of pendingInputsRef.current) {
+        const stamped = ev.payload.tick;
+        if (stamped !== undefined ? stamped > tick : ev.transportSeq > lastAckSeqRef.current) {
+          kept.push(ev);
+        } else if (stamped !== undefined) {
+          heldInputRef.current = ev.payload;
+        }
       }
+      pendingInputsRef.current = kept;
     } else if (BRUTAL_CLIENT_SIDE_MODE) {
       pendingInputsRef.current = [];
     }
 
+    // With a synced clock the frame goes on the server's timeline, and how late
+    // frames land against it sizes the interpolation delay. Frames from before
+    // and after the clock synced do not mix.
+    const tickAt = tick > 0 ? window.Usion?.game?.tickTime?.(tick) : null;
+    const onClock = typeof tickAt === "number";
+    let frameT = packetNow;
+    if (onClock) {
+      const stats = netStatsRef.current;
+      const lateMs = packetNow - tickAt;
+      const first = stats.lateMs === 0 && stats.lateDevMs === 0;
+      stats.lateDevMs = first ? 0 : stats.lateDevMs * 0.85 + Math.abs(lateMs - stats.lateMs) * 0.15;
+      stats.lateMs = first ? lateMs : stats.lateMs * 0.85 + lateMs * 0.15;
+      frameT = tickAt;
+    }
+    const prevFrame = snapshotsRef.current[snapshotsRef.current.length - 1];
+    if (prevFrame && prevFrame.onClock !== onClock) snapshotsRef.current = [];
     const frame: SnapshotFrame = {
-      t: performance.now(),
+      t: prevFrame?.onClock === onClock ? Math.max(prevFrame.t, frameT) : frameT, // re-anchoring may nudge it back
+      onClock,
       serverTick: tick,
       state: cloneWorld(merged),
     };
@@ -1136,7 +1396,8 @@ export default function Page() {
     await new Promise((resolve) => setTimeout(resolve, ms));
   }
 
-  async function connectAndJoin() {
+  /** With queue, connects through the configured room and enters matchmaking instead of joining it. */
+  async function connectAndJoin({ queue = false }: { queue?: boolean } = {}) {
     if (connectGuardRef.current) return;
 
     const usion = window.Usion;
@@ -1145,7 +1406,12 @@ export default function Page() {
       return;
     }
 
-    const rid = getConfigRoomId();
+    if (queue && isSpectateRequested()) {
+      setStatus("Spectators cannot queue for a match");
+      return;
+    }
+    if (queue) matchedRoomIdRef.current = "";
+    const rid = matchedRoomIdRef.current || getConfigRoomId();
     if (!rid) {
       setStatus("Missing roomId");
       return;
@@ -1180,11 +1446,19 @@ export default function Page() {
             });
           }
           const joinedPlayerId = String(data?.player_id || "");
-          if (joinedPlayerId) {
+          const asSpectator = data?.role === "spectator";
+          spectatingRef.current = asSpectator;
+          setSpectating(asSpectator);
+          if (asSpectator) {
+            myIdRef.current = "";
+            setMyId("");
+          } else if (joinedPlayerId) {
             myIdRef.current = joinedPlayerId;
             setMyId(joinedPlayerId);
           }
           pendingInputsRef.current = [];
+          heldInputRef.current = null;
+          unackedCommandsRef.current = [];
           predictedProjectilesRef.current = [];
           predictedProjectileSeqRef.current = 0;
           localFireSeqRef.current = 0;
@@ -1195,9 +1469,16 @@ export default function Page() {
           lastSentFireRef.current = false;
           setJoined(true);
           setPlayerCount((data?.player_ids || []).length);
+          if (Number(data?.max_players) > 0) setMaxPlayers(Number(data.max_players));
+          friendlyFireRef.current = Boolean(data?.friendly_fire);
           const waiting = Number(data?.waiting_for || 0);
-          appendLog(`Joined room ${String(data?.room_id || activeRoomIdRef.current)} as ${joinedPlayerId || myIdRef.current}`);
-          setStatus(waiting > 0 ? `Waiting for ${waiting} player(s)...` : "All players connected");
+          appendLog(`Joined room ${String(data?.room_id || activeRoomIdRef.current)} as ${asSpectator ? "spectator" : joinedPlayerId || myIdRef.current}`);
+          if (asSpectator) {
+            const delaySec = Math.round(Number(data?.spectator_delay_ms || 0) / 100) / 10;
+            setStatus(`Spectating${delaySec > 0 ? ` (${delaySec}s delay)` : ""} - Tab switches camera`);
+          } else {
+            setStatus(waiting > 0 ? `Waiting for ${waiting} player(s)...` : "All players connected");
+          }
         });
 
         if (usion.game.onPlayerJoined) {
@@ -1222,10 +1503,85 @@ export default function Page() {
           localFireSeqRef.current = 0;
           lastSentFireRef.current = false;
           setGameStarted(true);
+          setMatchEnded(false);
+          setPlayerCount((data?.player_ids || []).length);
           appendLog("Game started");
           setStatus("Fight");
         });
 
+        if (usion.game.onRematchRequest) {
+          usion.game.onRematchRequest((data: AnyObj) => {
+            if (data?.room_id && data.room_id !== activeRoomIdRef.current) return;
+            const votes = (data?.votes || []).length;
+            const needed = Number(data?.needed || 0);
+            const fromMe = String(data?.player_id || "") === myIdRef.current;
+            appendLog(`Rematch requested by ${fromMe ? "you" : "rival"} (${votes}/${needed})`);
+            if (!fromMe) setStatus(`Rival wants a rematch (${votes}/${needed})`);
+          });
+        }
+
+        if (usion.game.onGameRestarted) {
+          usion.game.onGameRestarted((data: AnyObj) => {
+            if (data?.room_id && data.room_id !== activeRoomIdRef.current) return;
+            worldRef.current = null;
+            serverWorldRef.current = null;
+            serverStatesRef.current.clear();
+            snapshotsRef.current = [];
+            pendingInputsRef.current = [];
+            heldInputRef.current = null;
+            unackedCommandsRef.current = [];
+            predictedProjectilesRef.current = [];
+            localFireSeqRef.current = 0;
+            lastAckSeqRef.current = 0;
+            lastNetworkTickRef.current = 0;
+            lastUiTickRef.current = 0;
+            lastInputSentAtRef.current = performance.now() - INPUT_SEND_MS_BASE;
+            localFireCooldownMsRef.current = 0;
+            lastSentFireRef.current = false;
+            setMatchEnded(false);
+            setRematchRequested(false);
+            setGameStarted(true);
+            appendLog(`Rematch started (match ${Number(data?.match_index || 0) + 1})`);
+            setStatus("Fight");
+          });
+        }
+
+        if (usion.game.onRoundEnd) {
+          usion.game.onRoundEnd((data: AnyObj) => {
+            if (data?.room_id && data.room_id !== activeRoomIdRef.current) return;
+            const won = (data?.winner_ids || []).includes(myIdRef.current);
+            const round = `Round ${Number(data?.round || 0)}/${Number(data?.best_of || 0)}`;
+            appendLog(`${round} ended (${data?.reason || "done"}) - ${seriesScoreText(data?.score)}`);
+            if (!spectatingRef.current) setStatus(`${round} ${won ? "won" : "lost"} - ${seriesScoreText(data?.score)}`);
+          });
+        }
+
+        if (usion.game.onRoundStart) {
+          usion.game.onRoundStart((data: AnyObj) => {
+            if (data?.room_id && data.room_id !== activeRoomIdRef.current) return;
+            // Fresh ships: drop the old round's world, keep seq/ack bookkeeping.
+            worldRef.current = null;
+            serverWorldRef.current = null;
+            serverStatesRef.current.clear();
+            snapshotsRef.current = [];
+            pendingInputsRef.current = [];
+            heldInputRef.current = null;
+            predictedProjectilesRef.current = [];
+            localFireCooldownMsRef.current = 0;
+            lastSentFireRef.current = false;
+            const startsInSec = Math.round(Number(data?.starts_in_ms || 0) / 1000);
+            appendLog(`Round ${Number(data?.round || 0)}/${Number(data?.best_of || 0)} starts in ${startsInSec}s`);
+            setStatus(`Round ${Number(data?.round || 0)} - ${seriesScoreText(data?.score)}`);
+          });
+        }
+
+        if (usion.game.onSeriesEnd) {
+          usion.game.onSeriesEnd((data: AnyObj) => {
+            if (data?.room_id && data.room_id !== activeRoomIdRef.current) return;
+            appendLog(`Series over after ${Number(data?.rounds_played || 0)} round(s) - ${seriesScoreText(data?.score)}`);
+          });
+        }
+
         usion.game.onStateUpdate((data: AnyObj) => {
           onNetworkState(data);
         });
@@ -1256,15 +1612,111 @@ export default function Page() {
         usion.game.onGameFinished((data: AnyObj) => {
           if (data?.room_id && data.room_id !== activeRoomIdRef.current) return;
           pendingInputsRef.current = [];
+          heldInputRef.current = null;
           predictedProjectilesRef.current = [];
           localFireSeqRef.current = 0;
           localFireCooldownMsRef.current = 0;
           lastSentFireRef.current = false;
           setGameStarted(false);
+          setMatchEnded(true);
+          setRematchRequested(false);
           appendLog(`Game finished (${data?.reason || "done"})`);
-          setStatus(`Match ended (${data?.reason || "done"})`);
+          const ranking: string[] = Array.isArray(data?.ranking) ? data.ranking : [];
+          const place = ranking.indexOf(myIdRef.current) + 1;
+          const placeText = ranking.length > 2 && place > 0 ? ` - placed #${place}/${ranking.length}` : "";
+          setStatus(`Match ended (${data?.reason || "done"})${placeText}`);
         });
 
+        if (usion.game.onPlayerReconnecting) {
+          usion.game.onPlayerReconnecting((data: AnyObj) => {
+            if (data?.room_id && data.room_id !== activeRoomIdRef.current) return;
+            const graceSec = Math.round(Number(data?.grace_ms || 0) / 1000);
+            appendLog(`Rival connection lost, waiting up to ${graceSec}s`);
+            setStatus("Rival reconnecting...");
+          });
+        }
+
+        if (usion.game.onPlayerReconnected) {
+          usion.game.onPlayerReconnected((data: AnyObj) => {
+            if (data?.room_id && data.room_id !== activeRoomIdRef.current) return;
+            if (String(data?.player_id || "") === myIdRef.current) return;
+            appendLog("Rival reconnected");
+            setStatus("Fight");
+          });
+        }
+
+        if (usion.game.onDisconnect) {
+          usion.game.onDisconnect((reason: string) => {
+            if (!joinedRef.current || !gameStartedRef.current || intentionalDisconnectRef.current) return;
+            // Socket dropped mid-match: the server holds our ship for a grace window, so rejoin.
+            appendLog(`Connection lost (${reason}), reconnecting...`);
+            setStatus("Reconnecting...");
+            window.setTimeout(() => { void connectAndJoin(); }, JOIN_RETRY_BACKOFF_MS);
+          });
+        }
+
+        if (usion.game.onServerNotice) {
+          usion.game.onServerNotice((data: AnyObj) => {
+            if (data?.room_id && data.room_id !== activeRoomIdRef.current) return;
+            const level = String(data?.level || "info");
+            const text = `${level === "info" ? "" : `[${level.toUpperCase()}] `}${String(data?.message || "")}`;
+            appendLog(`Server notice: ${text}`);
+            setStatus(text);
+          });
+        }
+
+        if (usion.game.onInputStatus) {
+          usion.game.onInputStatus((data: AnyObj) => {
+            if (data?.room_id && data.room_id !== activeRoomIdRef.current) return;
+            const lead = nextInputLead(inputLeadTicksRef.current, data);
+            if (Number(data?.late || 0) > 0) appendLog(`${data.late} late input(s); input lead ${lead} ticks`);
+            inputLeadTicksRef.current = lead;
+          });
+        }
+
+        if (usion.game.onServerShutdown) {
+          usion.game.onServerShutdown((data: AnyObj) => {
+            if (data?.room_id && data.room_id !== activeRoomIdRef.current) return;
+            setQueueing(false);
+            const secondsLeft = Math.max(0, Math.round((Number(data?.deadline_ts || 0) - Date.now()) / 1000));
+            const text = data?.match_continues
+              ? `Server restarting: this match ends within ${secondsLeft}s`
+              : "Server restarting: join again to get a new server";
+            appendLog(text);
+            setStatus(text);
+          });
+        }
+
+        if (usion.game.onQueueStatus) {
+          usion.game.onQueueStatus((data: AnyObj) => {
+            if (data?.state !== "queued") {
+              setQueueing(false);
+              setStatus("Left matchmaking");
+              return;
+            }
+            const waitedSec = Math.round(Number(data?.waited_ms || 0) / 1000);
+            const region = data?.any_region ? "any region" : String(data?.region || "-");
+            setStatus(`Searching ${waitedSec}s - #${Number(data?.position || 0)} of ${Number(data?.queue_size || 0)}, rating ±${Number(data?.rating_window || 0)}, ${region}`);
+          });
+        }
+
+        if (usion.game.onMatchFound) {
+          usion.game.onMatchFound((data: AnyObj) => {
+            const matched = String(data?.room_id || "");
+            if (!matched) return;
+            matchedRoomIdRef.current = matched;
+            activeRoomIdRef.current = matched;
+            setRoomId(matched);
+            setQueueing(false);
+            appendLog(`Match found: ${matched} with ${(data?.player_ids || []).length} player(s)`);
+            setStatus("Match found, joining...");
+            usion.game.join(matched).catch((err: any) => {
+              appendLog(`Join failed: ${String(err?.message || err)}`);
+              setStatus(`Join failed: ${String(err?.message || err)}`);
+            });
+          });
+        }
+
         usion.game.onError((data: AnyObj) => {
           if (data?.room_id && data.room_id !== activeRoomIdRef.current) return;
           const code = String(data?.code || "unknown");
@@ -1277,15 +1729,28 @@ export default function Page() {
       for (let attempt = 1; attempt <= JOIN_RETRY_LIMIT; attempt++) {
         try {
           appendLog(`Connect attempt ${attempt}/${JOIN_RETRY_LIMIT}`);
+          intentionalDisconnectRef.current = true;
           try { usion.game.disconnect?.(); } catch { }
           await sleep(100);
+          intentionalDisconnectRef.current = false;
 
-          await usion.game.connectDirect();
+          await usion.game.connectDirect({
+            ...(isSpectateRequested() ? { role: "spectator" } : {}),
+            wire: getWireFormat(),
+          });
           appendLog("Direct socket connected");
+          if (queue) {
+            await usion.game.queueJoin();
+            setQueueing(true);
+            setStatus("Searching for a match...");
+            appendLog("Queued for matchmaking");
+            lastError = null;
+            break;
+          }
           const joinRes = await usion.game.join(rid);
           if (joinRes?.error) throw new Error(String(joinRes.error));
           const joinedPlayerId = String(joinRes?.player_id || "");
-          if (joinedPlayerId) {
+          if (joinedPlayerId && joinRes?.role !== "spectator") {
             myIdRef.current = joinedPlayerId;
             setMyId(joinedPlayerId);
           }
@@ -1298,9 +1763,13 @@ export default function Page() {
           lastSentFireRef.current = false;
           setJoined(true);
           setPlayerCount((joinRes?.player_ids || []).length);
+          const seats = Number(joinRes?.max_players) > 0 ? Number(joinRes.max_players) : 2;
+          setMaxPlayers(seats);
           const waiting = Number(joinRes?.waiting_for || 0);
-          appendLog(`Join OK, players ${(joinRes?.player_ids || []).length}/2`);
-          setStatus(waiting > 0 ? `Waiting for ${waiting} player(s)...` : "Ready");
+          appendLog(`Join OK, players ${(joinRes?.player_ids || []).length}/${seats}`);
+          if (joinRes?.role !== "spectator") {
+            setStatus(waiting > 0 ? `Waiting for ${waiting} player(s)...` : "Ready");
+          }
 
           lastError = null;
           break;
@@ -1333,7 +1802,30 @@ export default function Page() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [perfHud.pendingInputs]);
 
+  function cancelQueue() {
+    window.Usion?.game?.queueLeave?.();
+    setQueueing(false);
+    appendLog("Left matchmaking");
+  }
+
+  function forfeitMatch() {
+    const usion = window.Usion;
+    if (!usion?.game?.forfeit || !gameStartedRef.current) return;
+    if (!window.confirm("Forfeit this match?")) return;
+    usion.game.forfeit();
+    appendLog("Forfeit sent");
+  }
+
+  function requestRematch() {
+    const usion = window.Usion;
+    if (!usion?.game?.requestRematch || rematchRequested) return;
+    usion.game.requestRematch();
+    setRematchRequested(true);
+    setStatus("Waiting for rival to accept rematch...");
+  }
+
   const me = myId ? worldRef.current?.players?.[myId] : null;
+  const followed = spectating && followId ? worldRef.current?.players?.[followId] : null;
 
   return (
     <main
@@ -1372,27 +1864,120 @@ export default function Page() {
         </div>
 
         <div style={{ color: "#93c5fd", fontSize: 13 }}>
-          Room {roomId || "-"} | {joined ? "connected" : "not connected"} | players {playerCount}/2
+          Room {roomId || "-"} | {joined ? "connected" : "not connected"} | players {playerCount}/{maxPlayers}
+          {spectating && " | spectating"}
         </div>
 
-        {!joined ? (
-          <button
-            onClick={connectAndJoin}
-            disabled={joining}
-            style={{
-              height: 40,
-              borderRadius: 8,
-              border: "1px solid #2563eb",
-              background: "linear-gradient(180deg,#3b82f6,#2563eb)",
-              color: "#eff6ff",
-              fontWeight: 700,
-              cursor: joining ? "progress" : "pointer",
-            }}
-          >
-            {joining ? "Connecting..." : "Connect + Join"}
-          </button>
+        {!joined && queueing ? (
+          <div style={{ display: "flex", alignItems: "center", gap: 10, color: "#bfdbfe", fontSize: 13 }}>
+            <span>{status}</span>
+            <button
+              onClick={cancelQueue}
+              style={{
+                height: 28,
+                padding: "0 12px",
+                borderRadius: 8,
+                border: "1px solid #2563eb",
+                background: "rgba(30,58,138,0.6)",
+                color: "#eff6ff",
+                fontWeight: 700,
+                cursor: "pointer",
+              }}
+            >
+              Cancel
+            </button>
+          </div>
+        ) : !joined ? (
+          <div style={{ display: "flex", gap: 10 }}>
+            <button
+              onClick={() => void connectAndJoin()}
+              disabled={joining}
+              style={{
+                height: 40,
+                borderRadius: 8,
+                border: "1px solid #2563eb",
+                background: "linear-gradient(180deg,#3b82f6,#2563eb)",
+                color: "#eff6ff",
+                fontWeight: 700,
+                cursor: joining ? "progress" : "pointer",
+              }}
+            >
+              {joining ? "Connecting..." : "Connect + Join"}
+            </button>
+            <button
+              onClick={() => void connectAndJoin({ queue: true })}
+              disabled={joining}
+              style={{
+                height: 40,
+                padding: "0 16px",
+                borderRadius: 8,
+                border: "1px solid #2563eb",
+                background: "rgba(30,58,138,0.6)",
+                color: "#eff6ff",
+                fontWeight: 700,
+                cursor: joining ? "progress" : "pointer",
+              }}
+            >
+              Find match
+            </button>
+          </div>
         ) : (
-          <div style={{ color: "#bfdbfe", fontSize: 13 }}>{status}</div>
+          <div style={{ display: "flex", alignItems: "center", gap: 10, color: "#bfdbfe", fontSize: 13 }}>
+            <span>{status}</span>
+            {spectating && (
+              <button
+                onClick={cycleCamera}
+                style={{
+                  height: 28,
+                  padding: "0 12px",
+                  borderRadius: 8,
+                  border: "1px solid #2563eb",
+                  background: "rgba(30,58,138,0.6)",
+                  color: "#eff6ff",
+                  fontWeight: 700,
+                  cursor: "pointer",
+                }}
+              >
+                Camera: {followId || "overview"}
+              </button>
+            )}
+            {gameStarted && !matchEnded && !spectating && (
+              <button
+                onClick={forfeitMatch}
+                style={{
+                  height: 28,
+                  padding: "0 12px",
+                  borderRadius: 8,
+                  border: "1px solid #b91c1c",
+                  background: "rgba(127,29,29,0.6)",
+                  color: "#fee2e2",
+                  fontWeight: 700,
+                  cursor: "pointer",
+                }}
+              >
+                Forfeit
+              </button>
+            )}
+            {matchEnded && !spectating && (
+              <button
+                onClick={requestRematch}
+                disabled={rematchRequested}
+                style={{
+                  height: 28,
+                  padding: "0 12px",
+                  borderRadius: 8,
+                  border: "1px solid #2563eb",
+                  background: "linear-gradient(180deg,#3b82f6,#2563eb)",
+                  color: "#eff6ff",
+                  fontWeight: 700,
+                  cursor: rematchRequested ? "default" : "pointer",
+                  opacity: rematchRequested ? 0.6 : 1,
+                }}
+              >
+                {rematchRequested ? "Rematch requested" : "Rematch"}
+              </button>
+            )}
+          </div>
         )}
 
         <div
@@ -1421,10 +2006,19 @@ export default function Page() {
         </div>
 
         <div style={{ display: "flex", gap: 10, flexWrap: "wrap", color: "#93c5fd", fontSize: 12 }}>
-          <span>Move: W/A/S/D</span>
-          <span>Shoot: E</span>
-          <span>Pickups: yellow W+</span>
-          {me && <span>You HP {Math.round(me.hp)} SH {Math.round(me.shield)} W{Math.round(me.weaponLevel)}</span>}
+          {spectating ? (
+            <>
+              <span>Switch camera: Tab</span>
+              {followed && <span>Watching {followId} HP {Math.round(followed.hp)}</span>}
+            </>
+          ) : (
+            <>
+              <span>Move: W/A/S/D</span>
+              <span>Shoot: E</span>
+              <span>Pickups: yellow W+</span>
+              {me && <span>You HP {Math.round(me.hp)} SH {Math.round(me.shield)} W{Math.round(me.weaponLevel)}</span>}
+            </>
+          )}
         </div>
 
         <div
@@ -1455,7 +2049,7 @@ export default function Page() {
   );
 }
 
-function drawWorld(world: WorldState, canvas: HTMLCanvasElement, myId: string, localHits: LocalHit[]) {
+function drawWorld(world: WorldState, canvas: HTMLCanvasElement, myId: string, localHits: LocalHit[], view: DrawView = {}) {
   const ctx = canvas.getContext("2d");
   if (!ctx) return;
 
@@ -1485,6 +2079,18 @@ function drawWorld(world: WorldState, canvas: HTMLCanvasElement, myId: string, l
   ctx.fillStyle = bg;
   ctx.fillRect(0, 0, w, h);
 
+  // --- Camera (spectator follow view); the whole arena otherwise ---
+  ctx.save();
+  if (view.camera) {
+    const zoom = view.camera.zoom;
+    const half = WORLD_SIZE / (2 * zoom);
+    const cx = clamp(view.camera.x, half, WORLD_SIZE - half);
+    const cy = clamp(view.camera.y, half, WORLD_SIZE - half);
+    ctx.translate(w / 2, h / 2);
+    ctx.scale(zoom, zoom);
+    ctx.translate(-cx * sx, -cy * sy);
+  }
+
   // --- Grid ---
   ctx.strokeStyle = "rgba(56,189,248,0.06)";
   ctx.lineWidth = 1;
@@ -1584,6 +2190,18 @@ function drawWorld(world: WorldState, canvas: HTMLCanvasElement, myId: string, l
     ctx.textAlign = "start";
   }
 
+  const mySlot = world.players[myId]?.slot ?? -1;
+  const myTeam = view.spectating ? null : world.players[myId]?.teamId ?? null;
+  const teamIds = Object.values(world.players)
+    .map((p) => p.teamId)
+    .filter((t, i, all): t is string => t != null && all.indexOf(t) === i)
+    .sort();
+  const colorFor = (pid: string) => {
+    const p = world.players[pid];
+    if (p?.teamId != null) return teamColorFor(p.teamId, myTeam, teamIds);
+    return shipColorFor(p, pid === myId && !view.spectating, view.spectating ? -1 : mySlot);
+  };
+
   // --- Laser beams (draw before ships so beam appears under) ---
   for (const [pid, p] of Object.entries(world.players)) {
     if (!p.alive || p.specialWeapon !== 'laser' || !(p.laserActiveMs && p.laserActiveMs > 0)) continue;
@@ -1605,7 +2223,7 @@ function drawWorld(world: WorldState, canvas: HTMLCanvasElement, myId: string, l
     ctx.stroke();
 
     // Inner beam
-    ctx.strokeStyle = pid === myId ? `rgba(34,211,238,${0.8 * pulse})` : `rgba(245,158,11,${0.8 * pulse})`;
+    ctx.strokeStyle = `rgba(${colorFor(pid).rgb},${0.8 * pulse})`;
     ctx.lineWidth = 4;
     ctx.beginPath();
     ctx.moveTo(lx, ly);
@@ -1631,6 +2249,7 @@ function drawWorld(world: WorldState, canvas: HTMLCanvasElement, myId: string, l
     if (pr.ownerId === myId) {
       for (const [tid, target] of Object.entries(world.players)) {
         if (tid === myId || !target.alive) continue;
+        if (!view.friendlyFire && isTeammate(world, myId, tid)) continue;
         const d2 = distanceSq(pr.x, pr.y, target.x, target.y);
         const hitRad = PLAYER_RADIUS + PROJECTILE_RADIUS;
         if (d2 <= hitRad * hitRad) {
@@ -1676,20 +2295,23 @@ function drawWorld(world: WorldState, canvas: HTMLCanvasElement, myId: string, l
   }
 
   // --- Ships ---
+  const duel = Object.keys(world.players).length <= 2;
   for (const [pid, p] of Object.entries(world.players)) {
     const x = p.x * sx;
     const y = p.y * sy;
     const isMe = pid === myId;
-    const shipColor = p.alive ? (isMe ? "#22d3ee" : "#f59e0b") : "#64748b";
-    const glowColor = p.alive ? (isMe ? "rgba(34,211,238,0.3)" : "rgba(245,158,11,0.3)") : "rgba(100,116,139,0.2)";
+    const palette = colorFor(pid);
+    const shipColor = p.alive ? palette.fill : "#64748b";
+    const shipAlpha = p.frozen ? 0.35 : 1;
+    const glowColor = p.alive ? `rgba(${palette.rgb},0.3)` : "rgba(100,116,139,0.2)";
 
     // Engine glow
-    if (p.alive) {
+    if (p.alive && !p.frozen) {
       ctx.save();
       ctx.translate(x, y);
       ctx.rotate(p.angle);
       const engineGrad = ctx.createRadialGradient(-shipTail, 0, 0, -shipTail, 0, 18);
-      engineGrad.addColorStop(0, isMe ? "rgba(34,211,238,0.5)" : "rgba(245,158,11,0.5)");
+      engineGrad.addColorStop(0, `rgba(${palette.rgb},0.5)`);
       engineGrad.addColorStop(1, "transparent");
       ctx.fillStyle = engineGrad;
       ctx.beginPath();
@@ -1711,6 +2333,7 @@ function drawWorld(world: WorldState, canvas: HTMLCanvasElement, myId: string, l
     }
 
     ctx.save();
+    ctx.globalAlpha = shipAlpha;
     ctx.translate(x, y);
     ctx.rotate(p.angle);
 
@@ -1729,7 +2352,7 @@ function drawWorld(world: WorldState, canvas: HTMLCanvasElement, myId: string, l
     ctx.fill();
 
     // Ship outline
-    ctx.strokeStyle = p.alive ? (isMe ? "#67e8f9" : "#fbbf24") : "#94a3b8";
+    ctx.strokeStyle = p.alive ? palette.stroke : "#94a3b8";
     ctx.lineWidth = 1.5;
     ctx.stroke();
 
@@ -1752,7 +2375,13 @@ function drawWorld(world: WorldState, canvas: HTMLCanvasElement, myId: string, l
     ctx.fillStyle = "#e2e8f0";
     ctx.font = "bold 12px system-ui";
     ctx.textAlign = "center";
-    const label = isMe ? "YOU" : "RIVAL";
+    const label = p.frozen
+      ? "RECONNECTING"
+      : view.spectating ? pid
+      : isMe ? "YOU"
+      : isTeammate(world, myId, pid) ? "ALLY"
+      : pid.startsWith("bot:") ? "BOT"
+      : duel ? "RIVAL" : `P${(p.slot ?? 0) + 1}`;
     ctx.fillText(label, x, y - labelY);
 
     // --- Special weapon indicator ---
@@ -1769,4 +2398,30 @@ function drawWorld(world: WorldState, canvas: HTMLCanvasElement, myId: string, l
     }
     ctx.textAlign = "start";
   }
+
+  ctx.restore();
+}
+
+/**
+ * The local player always gets SHIP_COLORS[0]; everyone else is keyed by slot,
+ * skipping over the local player's slot so all eight colors stay distinct.
+ * Spectators (mySlot -1) see plain slot colors.
+ */
+function shipColorFor(p: PlayerState | undefined, isMe: boolean, mySlot: number) {
+  if (isMe) return SHIP_COLORS[0];
+  const slot = p?.slot ?? 0;
+  if (mySlot < 0) return SHIP_COLORS[slot % SHIP_COLORS.length];
+  return SHIP_COLORS[(slot < mySlot ? slot + 1 : slot) % SHIP_COLORS.length];
+}
+
+/** Team mode: the local player's team is SHIP_COLORS[0], other teams follow in id order. */
+function teamColorFor(teamId: string, myTeam: string | null, teamIds: string[]) {
+  const others = myTeam === null ? teamIds : teamIds.filter((t) => t !== myTeam);
+  const index = teamId === myTeam ? 0 : others.indexOf(teamId) + (myTeam === null ? 0 : 1);
+  return SHIP_COLORS[Math.max(0, index) % SHIP_COLORS.length];
+}
+
+function isTeammate(world: WorldState, aId: string, bId: string): boolean {
+  const a = world.players[aId]?.teamId;
+  return a != null && a === world.players[bId]?.teamId;
 }
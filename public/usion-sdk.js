@@ -64,34 +64,9 @@
             return;
           }
           
-          self.config = data.config;
-          self._initialized = true;
           // We received INIT from a parent → we are embedded (iframe or WebView)
           self._isEmbedded = true;
-          
-          // Initialize user module with config data
-          if (data.config.userId) {
-            self.user._id = data.config.userId;
-            self.user._name = data.config.userName;
-            self.user._avatar = data.config.userAvatar;
-            self.user._token = data.config.authToken;
-          }
-          
-          // Initialize session module
-          if (data.config.sessionId) {
-            self.session._id = data.config.sessionId;
-            self.session._data = data.config.sessionData || {};
-          }
-          
-          // Initialize wallet with balance if provided
-          if (data.config.balance !== undefined) {
-            self.wallet._balance = data.config.balance;
-          }
-          
-          // Call the stored init callback
-          if (self._initCallback) {
-            self._initCallback(data.config);
-          }
+          self._applyConfig(data.config);
         }
         
         // Handle response messages for async requests
@@ -119,6 +94,54 @@
       this._post({ type: 'READY' });
     },
 
+    /**
+     * Initialize without a parent app, e.g. from the local dev stack's
+     * /dev/config. Ignored once a config has been applied.
+     * @param {object} config - Same shape as the parent's INIT config
+     * @param {function} callback - Called with config when ready
+     */
+    initStandalone: function(config, callback) {
+      if (callback) this._initCallback = callback;
+      if (this._initialized) {
+        if (callback) callback(this.config);
+        return;
+      }
+      this._isEmbedded = false;
+      this._applyConfig(config || {});
+    },
+
+    /**
+     * @private
+     */
+    _applyConfig: function(config) {
+      this.config = config;
+      this._initialized = true;
+
+      // Initialize user module with config data
+      if (config.userId) {
+        this.user._id = config.userId;
+        this.user._name = config.userName;
+        this.user._avatar = config.userAvatar;
+        this.user._token = config.authToken;
+      }
+
+      // Initialize session module
+      if (config.sessionId) {
+        this.session._id = config.sessionId;
+        this.session._data = config.sessionData || {};
+      }
+
+      // Initialize wallet with balance if provided
+      if (config.balance !== undefined) {
+        this.wallet._balance = config.balance;
+      }
+
+      // Call the stored init callback
+      if (this._initCallback) {
+        this._initCallback(config);
+      }
+    },
+
     /**
      * Send message to parent app
      * @private
@@ -749,6 +772,15 @@
       _directJoinTimeout: null,
       _directKeepAliveTimer: null,
       _directKeepAliveIntervalMs: 5000,
+      _clock: null, // server clock estimate from time_sync (see _onTimeSync)
+      _clockSamples: [],
+      _clockTimer: null,
+      _clockSyncId: 0,
+      _clockSyncBurst: 5, // samples taken 100ms apart right after connecting
+      _clockSyncIntervalMs: 2000,
+      _clockSamplesMax: 8,
+      _wireFormat: 'json', // 'binary': ask for compact state frames at join
+      _wireSlots: [], // binary frames: slot -> player id from the last snapshot
       _useProxy: false,
       _proxyListenerSetup: false,
 
@@ -842,11 +874,13 @@
       /**
        * Connect directly to creator-controlled WebSocket server.
        * Uses backend-issued short-lived room token.
+       * @param {object} config - Optional overrides (roomId, serviceId, apiUrl, token, role, wire)
        * @returns {Promise}
        */
       connectDirect: function(config) {
         var self = this;
         config = config || {};
+        if (config.wire) self._wireFormat = config.wire === 'binary' ? 'binary' : 'json';
 
         if (self.directMode && self.directSocket && self.connected) {
           return Promise.resolve();
@@ -867,6 +901,7 @@
             self._connecting = false;
             Usion.log('Direct game socket connected');
             self._startDirectKeepAlive();
+            self._startClockSync();
           })
           .catch(function(err) {
             self._connecting = false;
@@ -901,11 +936,14 @@
           'Content-Type': 'application/json',
           'Authorization': 'Bearer ' + token
         };
-        var accessBody = JSON.stringify({
+        var accessRequest = {
           service_id: serviceId,
           client_type: 'iframe',
           protocol_version: (config.protocolVersion || Usion.config.protocolVersion || Usion.config.protocol_version || '2')
-        });
+        };
+        // 'spectator' asks the backend for a watch-only token (permissions: ['spectate'])
+        if (config.role) accessRequest.role = config.role;
+        var accessBody = JSON.stringify(accessRequest);
 
         function requestAccess() {
           return fetch(accessEndpoint, {
@@ -957,6 +995,7 @@
           var urlWithToken = wsUrl + separator + 'token=' + encodeURIComponent(access.access_token);
           var openedAtMs = Date.now();
           var ws = new WebSocket(urlWithToken);
+          ws.binaryType = 'arraybuffer';
           self.directSocket = ws;
 
           var opened = false;
@@ -982,6 +1021,7 @@
 
           ws.onclose = function(evt) {
             self._stopDirectKeepAlive();
+            self._stopClockSync();
             self.connected = false;
             self._joined = false;
             self._joinPromise = null;
@@ -1008,6 +1048,188 @@
         });
       },
 
+      /**
+       * Binary state_snapshot/state_delta (server/wire.js) back into the JSON
+       * payload shape, so handlers see the same thing in either format.
+       */
+      _decodeStateFrame: function(buffer) {
+        var bytes = new Uint8Array(buffer);
+        var pos = 0;
+        var slots = this._wireSlots;
+        var PRECISION = 10000;
+        var PHASES = ['playing', 'finished'];
+        var ITEM_TYPES = ['laser', 'bomb', 'nova', 'explosion'];
+        var textDecoder = new TextDecoder();
+
+        function u8() {
+          if (pos >= bytes.length) throw new Error('Truncated frame');
+          return bytes[pos++];
+        }
+        function uvar() {
+          var n = 0;
+          var scale = 1;
+          for (;;) {
+            var b = u8();
+            n += (b & 0x7f) * scale;
+            if (b < 0x80) return n;
+            scale *= 0x80;
+          }
+        }
+        function q() {
+          var n = uvar();
+          return (n % 2 === 0 ? n / 2 : -(n + 1) / 2) / PRECISION;
+        }
+        function str() {
+          var len = uvar();
+          if (pos + len > bytes.length) throw new Error('Truncated frame');
+          var s = textDecoder.decode(bytes.subarray(pos, pos + len));
+          pos += len;
+          return s;
+        }
+        function enumOf(values) {
+          var i = u8();
+          if (i === 0xfe) return null;
+          if (i === 0xff) return str();
+          return values[i] !== undefined ? values[i] : null;
+        }
+        function list(readItem) {
+          var out = [];
+          var count = uvar();
+          for (var i = 0; i < count; i++) out.push(readItem());
+          return out;
+        }
+        function owner() {
+          var slot = u8();
+          if (slot === 0xff) return str();
+          return slots[slot] !== undefined ? slots[slot] : '';
+        }
+        // Masked field lists, in server/wire.js order: bit i says fields[i][0] follows.
+        var PLAYER_FIELDS = [
+          ['x', 'q'], ['y', 'q'], ['vx', 'q'], ['vy', 'q'], ['angle', 'q'], ['laserActiveMs', 'q'], ['hp', 'q'],
+          ['shield', 'q'], ['alive', 'bool'], ['frozen', 'bool'], ['weaponLevel', 'q'], ['specialUses', 'q'],
+          ['specialWeapon', 'item'], ['teamId', 'string']
+        ];
+        var PLAYER_NEW = 1 << PLAYER_FIELDS.length;
+        var PROJECTILE_FIELDS = [
+          ['x', 'q'], ['y', 'q'], ['ttlMs', 'q'], ['vx', 'q'], ['vy', 'q'], ['ownerId', 'owner'], ['fireSeq', 'uint'], ['isBomb', 'bool']
+        ];
+        function fields(list, mask, out) {
+          for (var f = 0; f < list.length; f++) {
+            if (!(mask & (1 << f))) continue;
+            var kind = list[f][1];
+            var v;
+            if (kind === 'q') v = q();
+            else if (kind === 'bool') v = u8() === 1;
+            else if (kind === 'uint') v = uvar();
+            else if (kind === 'item') v = enumOf(ITEM_TYPES);
+            else if (kind === 'string') v = enumOf([]);
+            else v = owner();
+            out[list[f][0]] = v;
+          }
+          return out;
+        }
+        function players() {
+          var out = {};
+          var count = uvar();
+          for (var n = 0; n < count; n++) {
+            var slot = u8();
+            var mask = uvar();
+            var p = {};
+            if (mask & PLAYER_NEW) {
+              p = { id: str(), slot: slot };
+              slots[slot] = p.id;
+            }
+            var id = slots[slot];
+            if (id === undefined) throw new Error('Delta for unknown slot ' + slot);
+            out[id] = fields(PLAYER_FIELDS, mask & ~PLAYER_NEW, p);
+          }
+          return out;
+        }
+        function projectileId() {
+          var flags = u8();
+          if (flags & 4) return str();
+          var tick = uvar();
+          var ownerId = slots[u8()];
+          var counter = uvar();
+          return (flags & 1 ? 'bomb:' : '') + tick + ':' + (ownerId !== undefined ? ownerId : '') + ':' + counter;
+        }
+        function projectile() {
+          var id = projectileId();
+          return fields(PROJECTILE_FIELDS, uvar(), { id: id });
+        }
+        function indexedId(prefix) {
+          var tick = uvar();
+          return tick === 0 ? str() : prefix + ':' + (tick - 1) + ':' + uvar();
+        }
+        function pickupId() {
+          return indexedId('pu');
+        }
+        function effectId() {
+          return indexedId('fx');
+        }
+        function pickup() {
+          return { id: pickupId(), x: q(), y: q(), type: enumOf(ITEM_TYPES) };
+        }
+        function effect() {
+          return { id: effectId(), type: enumOf(ITEM_TYPES), x: q(), y: q(), radius: q(), ownerId: owner(), ttlMs: q() };
+        }
+
+        var version = u8();
+        if (version !== 3) throw new Error('Unsupported wire version ' + version);
+        var kind = u8();
+        var joined = this._lastJoinedPayload || {};
+        var payload = {
+          room_id: this.roomId,
+          protocol_version: '2',
+          server_tick: uvar(),
+          server_ts: uvar(),
+          network_tick: uvar(),
+          ack_seq_by_player: {},
+          deploy_region: joined.deploy_region,
+          sim_hz: joined.sim_hz,
+          net_hz: joined.net_hz
+        };
+        var acks = [];
+        var ackCount = uvar();
+        for (var a = 0; a < ackCount; a++) acks.push([u8(), uvar()]);
+
+        if (kind === 1) {
+          var state = { phase: enumOf(PHASES), tick: uvar(), remainingMs: q() };
+          slots.length = 0;
+          state.players = players();
+          state.projectiles = list(projectile);
+          state.pickups = list(pickup);
+          state.effects = list(effect);
+          payload.full_state = state;
+        } else if (kind === 2) {
+          payload.base_network_tick = payload.network_tick - uvar();
+          var flags = u8();
+          var changed = {};
+          var removed = { projectiles: [], pickups: [], effects: [] };
+          if (flags & 1) changed.phase = enumOf(PHASES);
+          if (flags & 2) changed.tick = uvar();
+          if (flags & 4) changed.remainingMs = q();
+          if (flags & 8) changed.players = players();
+          if (flags & 16) changed.projectiles = list(projectile);
+          if (flags & 32) changed.pickups = list(pickup);
+          if (flags & 64) changed.effects = list(effect);
+          if (flags & 128) {
+            removed.projectiles = list(projectileId);
+            removed.pickups = list(pickupId);
+            removed.effects = list(effectId);
+          }
+          payload.changed_entities = changed;
+          payload.removed_entities = removed;
+        } else {
+          throw new Error('Unknown frame kind ' + kind);
+        }
+
+        for (var k = 0; k < acks.length; k++) {
+          if (slots[acks[k][0]] !== undefined) payload.ack_seq_by_player[slots[acks[k][0]]] = acks[k][1];
+        }
+        return { type: kind === 1 ? 'state_snapshot' : 'state_delta', payload: payload };
+      },
+
       _startDirectKeepAlive: function() {
         var self = this;
         self._stopDirectKeepAlive();
@@ -1024,6 +1246,72 @@
         }
       },
 
+      /**
+       * NTP-style clock sync over the direct socket. time_sync carries t0 (our
+       * send time); the server answers with t1 (its receive time), t2 (its send
+       * time) and, while a match runs, the tick it last simulated and when.
+       * Our times are performance.now(), so the offset maps the page's own
+       * timeline onto the server clock. Of the last few samples the one with
+       * the shortest round trip wins: it had the least room for asymmetric
+       * queueing, and half its round trip bounds the offset error.
+       */
+      _startClockSync: function() {
+        var self = this;
+        self._stopClockSync();
+        self._clock = null;
+        self._clockSamples = [];
+        var burst = self._clockSyncBurst;
+        var next = function() {
+          self._sendClockSync();
+          burst -= 1;
+          self._clockTimer = setTimeout(next, burst > 0 ? 100 : self._clockSyncIntervalMs);
+        };
+        next();
+      },
+
+      _stopClockSync: function() {
+        if (this._clockTimer) {
+          clearTimeout(this._clockTimer);
+          this._clockTimer = null;
+        }
+      },
+
+      _sendClockSync: function() {
+        if (!this.directMode || !this.directSocket || this.directSocket.readyState !== WebSocket.OPEN) return;
+        this._clockSyncId += 1;
+        this._sendDirect('time_sync', { id: this._clockSyncId, t0: performance.now() });
+      },
+
+      _onTimeSync: function(payload) {
+        var t3 = performance.now();
+        var t0 = Number(payload.t0);
+        var t1 = Number(payload.t1);
+        var t2 = Number(payload.t2);
+        if (!isFinite(t0) || !isFinite(t1) || !isFinite(t2)) return;
+        var delay = (t3 - t0) - (t2 - t1);
+        if (delay < 0 || delay > 5000) return;
+
+        var samples = this._clockSamples;
+        samples.push({ offset: ((t1 - t0) + (t2 - t3)) / 2, delay: delay, at: t3 });
+        if (samples.length > this._clockSamplesMax) samples.shift();
+        var best = samples[0];
+        for (var i = 1; i < samples.length; i++) {
+          if (samples[i].delay < best.delay) best = samples[i];
+        }
+
+        var clock = this._clock || {};
+        clock.offset = best.offset;
+        clock.rtt = best.delay;
+        clock.bestAt = best.at;
+        clock.tickMs = Number(payload.tick_ms) || clock.tickMs || null;
+        clock.netMs = Number(payload.net_ms) || clock.netMs || null;
+        var ticking = payload.server_tick !== undefined && payload.tick_at !== undefined;
+        clock.tick = ticking ? Number(payload.server_tick) : null;
+        clock.tickAt = ticking ? Number(payload.tick_at) : null;
+        this._clock = clock;
+        if (this._eventHandlers.clockSync) this._eventHandlers.clockSync(this.clockStatus());
+      },
+
       _sendDirect: function(type, payload) {
         if (!this.directSocket || this.directSocket.readyState !== WebSocket.OPEN) {
           return;
@@ -1044,8 +1332,13 @@
       _handleDirectMessage: function(raw) {
         var data;
         try {
-          data = typeof raw === 'string' ? JSON.parse(raw) : raw;
+          if (raw instanceof ArrayBuffer) {
+            data = this._decodeStateFrame(raw);
+          } else {
+            data = typeof raw === 'string' ? JSON.parse(raw) : raw;
+          }
         } catch (e) {
+          Usion.log('Dropped undecodable frame: ' + (e && e.message ? e.message : e));
           return;
         }
         if (!data || !data.type) return;
@@ -1054,6 +1347,10 @@
         if (data.type === 'joined') {
           this._joined = true;
           this._lastJoinedPayload = payload;
+          if (payload.resumed && Number(payload.last_seq) > this._directSeq) {
+            // Resumed inside the reconnect grace window: keep seq monotonic for the server.
+            this._directSeq = Number(payload.last_seq);
+          }
           if (this._directJoinTimeout) {
             clearTimeout(this._directJoinTimeout);
             this._directJoinTimeout = null;
@@ -1074,6 +1371,17 @@
           if (this._eventHandlers.playerLeft) this._eventHandlers.playerLeft(payload);
           return;
         }
+        if (data.type === 'player_reconnecting') {
+          if (this._eventHandlers.playerReconnecting) this._eventHandlers.playerReconnecting(payload);
+          return;
+        }
+        if (data.type === 'player_reconnected') {
+          if (this._eventHandlers.playerReconnected) this._eventHandlers.playerReconnected(payload);
+          return;
+        }
+        if (data.type === 'game_start' || data.type === 'game_restarted' || data.type === 'round_start' || data.type === 'match_end') {
+          this._sendClockSync(); // the tick count restarts or stops: re-anchor now
+        }
         if (data.type === 'game_start') {
           if (this._eventHandlers.gameStart) this._eventHandlers.gameStart(payload);
           // Also fire as realtime so frontend can catch it
@@ -1093,6 +1401,61 @@
           if (this._eventHandlers.finished) this._eventHandlers.finished(payload);
           return;
         }
+        if (data.type === 'round_end') {
+          if (this._eventHandlers.roundEnd) this._eventHandlers.roundEnd(payload);
+          return;
+        }
+        if (data.type === 'round_start') {
+          if (this._eventHandlers.roundStart) this._eventHandlers.roundStart(payload);
+          return;
+        }
+        if (data.type === 'series_end') {
+          if (this._eventHandlers.seriesEnd) this._eventHandlers.seriesEnd(payload);
+          return;
+        }
+        if (data.type === 'rematch_request') {
+          if (this._eventHandlers.rematchRequest) this._eventHandlers.rematchRequest(payload);
+          return;
+        }
+        if (data.type === 'server_notice') {
+          if (this._eventHandlers.serverNotice) this._eventHandlers.serverNotice(payload);
+          return;
+        }
+        if (data.type === 'server_shutdown') {
+          if (this._eventHandlers.serverShutdown) this._eventHandlers.serverShutdown(payload);
+          return;
+        }
+        if (data.type === 'time_sync') {
+          this._onTimeSync(payload);
+          return;
+        }
+        if (data.type === 'server_ping') {
+          // The server times the round trip itself; answer at once so queueing here does not count.
+          this._sendDirect('server_pong', { id: payload.id });
+          return;
+        }
+        if (data.type === 'input_status') {
+          if (this._eventHandlers.inputStatus) this._eventHandlers.inputStatus(payload);
+          return;
+        }
+        if (data.type === 'queue_status') {
+          if (this._eventHandlers.queueStatus) this._eventHandlers.queueStatus(payload);
+          return;
+        }
+        if (data.type === 'match_found') {
+          // The server already points this socket at the reserved room; join() completes the seat.
+          this.roomId = payload.room_id || this.roomId;
+          this._joined = false;
+          this._joinPromise = null;
+          this._lastJoinedPayload = null;
+          if (this._eventHandlers.matchFound) this._eventHandlers.matchFound(payload);
+          return;
+        }
+        if (data.type === 'game_restarted') {
+          this._lastSequence = 0; // Reset sequence on rematch
+          if (this._eventHandlers.restarted) this._eventHandlers.restarted(payload);
+          return;
+        }
         if (data.type === 'error') {
           if (this._directJoinTimeout) {
             clearTimeout(this._directJoinTimeout);
@@ -1467,7 +1830,7 @@
                 self._directJoinReject = null;
               }
             }, 30000);
-            if (!self._joined) self._sendDirect('join', {});
+            if (!self._joined) self._sendDirect('join', self._wireFormat === 'binary' ? { wire: 'binary' } : {});
           });
           return self._joinPromise;
         }
@@ -1658,6 +2021,65 @@
         }
       },
 
+      /**
+       * Tell the server a state frame was applied (direct mode). Later deltas
+       * are encoded against the newest acknowledged frame, so keep the states
+       * you acked for a second or so and merge each delta onto the one named
+       * by its base_network_tick.
+       * @param {number} networkTick - network_tick of the applied frame
+       */
+      stateAck: function(networkTick) {
+        if (this.directMode) this._sendDirect('state_ack', { network_tick: networkTick });
+      },
+
+      /**
+       * Server clock now (ms since the epoch), or null before the first
+       * time_sync answer (direct mode only).
+       */
+      serverNow: function() {
+        return this._clock ? performance.now() + this._clock.offset : null;
+      },
+
+      /**
+       * Server tick being simulated now, fractional, or null when the clock is
+       * not synced or no match is running.
+       */
+      serverTick: function() {
+        var c = this._clock;
+        if (!c || c.tick === null || !c.tickMs) return null;
+        return c.tick + (performance.now() + c.offset - c.tickAt) / c.tickMs;
+      },
+
+      /**
+       * performance.now() time at which the server simulated `tick`, or null
+       * like serverTick(). Puts state frames on one timeline for interpolation.
+       * @param {number} tick - server_tick of a state frame
+       */
+      tickTime: function(tick) {
+        var c = this._clock;
+        if (!c || c.tick === null || !c.tickMs) return null;
+        return c.tickAt + (tick - c.tick) * c.tickMs - c.offset;
+      },
+
+      /**
+       * Clock sync state: { synced, offset_ms, error_ms, rtt_ms, tick_ms,
+       * net_ms, samples }. error_ms bounds |serverNow() - true server time|:
+       * half the best round trip, growing by 50ppm drift with its age.
+       */
+      clockStatus: function() {
+        var c = this._clock;
+        if (!c) return { synced: false, offset_ms: null, error_ms: null, rtt_ms: null, tick_ms: null, net_ms: null, samples: 0 };
+        return {
+          synced: true,
+          offset_ms: c.offset,
+          error_ms: c.rtt / 2 + (performance.now() - c.bestAt) * 50e-6,
+          rtt_ms: c.rtt,
+          tick_ms: c.tickMs,
+          net_ms: c.netMs,
+          samples: this._clockSamples.length,
+        };
+      },
+
       /**
        * Request a rematch
        */
@@ -1679,6 +2101,25 @@
         }
       },
 
+      /**
+       * Enter the server's matchmaking queue (direct mode only). Rating and
+       * room settings come from the access token; listen with onQueueStatus
+       * and onMatchFound, then join() the room from match_found.
+       * @param {object} options - Optional { region }
+       */
+      queueJoin: function(options) {
+        if (!this.directMode) return Promise.reject(new Error('Matchmaking requires direct mode'));
+        this._sendDirect('queue_join', { region: options && options.region ? options.region : undefined });
+        return Promise.resolve({ success: true });
+      },
+
+      /**
+       * Leave the matchmaking queue
+       */
+      queueLeave: function() {
+        if (this.directMode) this._sendDirect('queue_leave', {});
+      },
+
       /**
        * Forfeit the current game
        * @returns {Promise}
@@ -1802,6 +2243,14 @@
         this._eventHandlers.playerLeft = callback;
       },
 
+      onPlayerReconnecting: function(callback) {
+        this._eventHandlers.playerReconnecting = callback;
+      },
+
+      onPlayerReconnected: function(callback) {
+        this._eventHandlers.playerReconnected = callback;
+      },
+
       onStateUpdate: function(callback) {
         this._eventHandlers.stateUpdate = callback;
       },
@@ -1826,6 +2275,18 @@
         this._eventHandlers.restarted = callback;
       },
 
+      onRoundEnd: function(callback) {
+        this._eventHandlers.roundEnd = callback;
+      },
+
+      onRoundStart: function(callback) {
+        this._eventHandlers.roundStart = callback;
+      },
+
+      onSeriesEnd: function(callback) {
+        this._eventHandlers.seriesEnd = callback;
+      },
+
       onError: function(callback) {
         this._eventHandlers.error = callback;
       },
@@ -1834,6 +2295,37 @@
         this._eventHandlers.rematchRequest = callback;
       },
 
+      onServerNotice: function(callback) {
+        this._eventHandlers.serverNotice = callback;
+      },
+
+      onServerShutdown: function(callback) {
+        this._eventHandlers.serverShutdown = callback;
+      },
+
+      /** Called with clockStatus() after each time_sync answer. */
+      onClockSync: function(callback) {
+        this._eventHandlers.clockSync = callback;
+      },
+
+      /**
+       * Server input buffer health, twice a second while inputs carry a `tick`
+       * (the server tick they are meant for): lead_ticks, jitter_ticks,
+       * target_ticks, adjust_ticks (how much earlier to stamp) and
+       * late/early/starved counts since the last report.
+       */
+      onInputStatus: function(callback) {
+        this._eventHandlers.inputStatus = callback;
+      },
+
+      onQueueStatus: function(callback) {
+        this._eventHandlers.queueStatus = callback;
+      },
+
+      onMatchFound: function(callback) {
+        this._eventHandlers.matchFound = callback;
+      },
+
       onDisconnect: function(callback) {
         this._eventHandlers.disconnect = callback;
       },
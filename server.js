@@ -6,27 +6,82 @@ import crypto from 'crypto';
 import * as Game from './server/game.js';
 import { validateAccessToken } from './server/auth.js';
 import { submitMatchResult } from './server/webhook.js';
+import * as Series from './server/series.js';
+import * as Replay from './server/replay.js';
+import * as Bot from './server/bot.js';
+import * as Matchmaking from './server/matchmaking.js';
+import { createDevStack } from './server/devstack.js';
+import { createOutbox } from './server/outbox.js';
+import { createAdminApi } from './server/admin.js';
+import * as Metrics from './server/metrics.js';
+import { createHealth } from './server/health.js';
+import { createCheckpointStore } from './server/checkpoint.js';
+import * as Wire from './server/wire.js';
+import { createInputBuffer } from './server/inputbuffer.js';
+import { createLatencyTracker } from './server/latency.js';
 
 const dev = process.env.NODE_ENV !== 'production';
 const app = next({ dev });
 const handle = app.getRequestHandler();
 const PORT = Number(process.env.PORT || 3000);
-
-const API_URL = (process.env.API_URL || 'https://mobile.mongolai.mn').replace(/\/$/, '');
-const JWKS_URL = process.env.JWKS_URL || `${API_URL}/.well-known/jwks.json`;
-const SERVICE_ID = process.env.SERVICE_ID || null;
+// Local-only stand-in for the platform backend (server/devstack.js); never in production.
+const DEV_STACK = dev && process.env.DEV_STACK === '1';
+
+const API_URL = DEV_STACK
+  ? `http://localhost:${PORT}/dev`
+  : (process.env.API_URL || 'https://mobile.mongolai.mn').replace(/\/$/, '');
+const JWKS_URL = DEV_STACK ? `${API_URL}/.well-known/jwks.json` : process.env.JWKS_URL || `${API_URL}/.well-known/jwks.json`;
+const SERVICE_ID = process.env.SERVICE_ID || (DEV_STACK ? 'space-craft' : null);
 const SIGNING_KEY_ID = process.env.SIGNING_KEY_ID || 'space-craft-key-1';
 const SIGNING_SECRET = process.env.SIGNING_SECRET || 'CHANGE_ME_IN_PRODUCTION';
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null; // unset: no /admin routes
 const DEPLOY_REGION = process.env.RAILWAY_REGION || process.env.AWS_REGION || process.env.FLY_REGION || 'unknown';
 
 const MIN_PLAYERS = 2;
+const MAX_FFA_PLAYERS = Game.CONFIG.maxPlayers;
+const DEFAULT_TEAM_IDS = ['red', 'blue'];
+const LOBBY_FILL_WAIT_MS = Math.max(0, Number(process.env.LOBBY_FILL_WAIT_MS || 10000));
+const BOT_FILL_WAIT_MS = Math.max(0, Number(process.env.BOT_FILL_WAIT_MS ?? 20000)); // 0 disables bots
+const DEFAULT_BOT_DIFFICULTY = Bot.DIFFICULTIES[process.env.BOT_DIFFICULTY] ? process.env.BOT_DIFFICULTY : 'normal';
+const ROUND_INTERMISSION_MS = Math.max(0, Number(process.env.ROUND_INTERMISSION_MS || 3000));
+const MAX_BEST_OF = 9;
+const REPLAY_DIR = process.env.REPLAY_DIR ?? 'replays'; // empty string disables recording
 const SIM_TICK_HZ = 60;
-const SIM_TICK_MS = Math.floor(1000 / SIM_TICK_HZ);
+const SIM_STEP_MS = Game.FIXED_DT_MS;
+const MAX_CATCHUP_STEPS = 4; // beyond this a stalled loop drops time instead of spiralling
 const NETWORK_HZ = Math.max(1, Number(process.env.NETWORK_HZ || 60));
 const NETWORK_EVERY_SIM_TICKS = Math.max(1, Math.floor(SIM_TICK_HZ / NETWORK_HZ));
-const FULL_SNAPSHOT_INTERVAL_NET_TICKS = Math.max(1, Number(process.env.FULL_SNAPSHOT_INTERVAL_NET_TICKS || NETWORK_HZ));
+const FULL_SNAPSHOT_INTERVAL_NET_TICKS = Math.max(1, Number(process.env.FULL_SNAPSHOT_INTERVAL_NET_TICKS || NETWORK_HZ)); // clients that never state_ack
+const STATE_HISTORY_NET_TICKS = Math.max(1, Number(process.env.STATE_HISTORY_NET_TICKS || NETWORK_HZ)); // how old an acked baseline may be
 const MAX_LAG_COMP_MS = 400;
-const MAX_CLIENT_INPUT_AGE_MS = 2000;
+const SERVER_PING_INTERVAL_MS = Math.max(100, Number(process.env.SERVER_PING_INTERVAL_MS || 1000));
+const SERVER_PING_EVERY_TICKS = Math.max(1, Math.round(SERVER_PING_INTERVAL_MS / SIM_STEP_MS));
+const LAG_CLAIM_TOLERANCE_MS = 100; // a client's own lag_comp_ms may exceed the measured one-way time by this much
+const INPUT_BUFFER_MAX_TICKS = 10; // furthest ahead an input may be stamped
+const INPUT_STATUS_EVERY_TICKS = 30;
+const MAX_REDUNDANT_INPUTS = 8; // older commands repeated in one input frame
+const RECONNECT_GRACE_MS = Math.max(0, Number(process.env.RECONNECT_GRACE_MS || 15000));
+const SPECTATOR_DELAY_MS = Math.max(0, Number(process.env.SPECTATOR_DELAY_MS || 2000));
+const OUTBOX_DIR = process.env.OUTBOX_DIR || 'outbox';
+const WEBHOOK_MAX_ATTEMPTS = Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS || 10));
+const WEBHOOK_RETRY_BASE_MS = Math.max(100, Number(process.env.WEBHOOK_RETRY_BASE_MS || 2000));
+const WEBHOOK_RETRY_MAX_MS = Math.max(WEBHOOK_RETRY_BASE_MS, Number(process.env.WEBHOOK_RETRY_MAX_MS || 300000));
+const WEBHOOK_TIMEOUT_MS = Math.max(100, Number(process.env.WEBHOOK_TIMEOUT_MS || 10000)); // a hung receiver counts as a failed attempt
+const HEALTH_MAX_LOOP_LAG_MS = Math.max(1, Number(process.env.HEALTH_MAX_LOOP_LAG_MS || 200));
+const HEALTH_MAX_TICK_MS = Math.max(SIM_STEP_MS, Number(process.env.HEALTH_MAX_TICK_MS || 250));
+const HEALTH_MAX_WEBHOOK_BACKLOG = Math.max(0, Number(process.env.HEALTH_MAX_WEBHOOK_BACKLOG || 100));
+const SHUTDOWN_DRAIN_MS = Math.max(0, Number(process.env.SHUTDOWN_DRAIN_MS || 20000)); // matches may play on this long
+const SHUTDOWN_FLUSH_MS = Math.max(0, Number(process.env.SHUTDOWN_FLUSH_MS || 8000)); // then results get this long to send
+const CHECKPOINT_DIR = process.env.CHECKPOINT_DIR ?? 'checkpoints'; // empty string disables checkpoints
+const CHECKPOINT_INTERVAL_MS = Math.max(250, Number(process.env.CHECKPOINT_INTERVAL_MS || 5000));
+const CHECKPOINT_MAX_AGE_MS = Math.max(0, Number(process.env.CHECKPOINT_MAX_AGE_MS || 120000)); // older ones are not restored
+const MM_TICK_MS = 1000;
+const MM_RATING_WINDOW = Math.max(0, Number(process.env.MM_RATING_WINDOW || 100));
+const MM_RATING_WINDOW_GROWTH = Math.max(0, Number(process.env.MM_RATING_WINDOW_GROWTH || 25)); // per second waited
+const MM_MAX_RATING_WINDOW = 1000;
+const MM_REGION_RELAX_MS = Math.max(0, Number(process.env.MM_REGION_RELAX_MS || 15000));
+const MM_RESERVE_MS = Math.max(1000, Number(process.env.MM_RESERVE_MS || 30000));
+const DEFAULT_RATING = 1000;
 const NET_PROFILE = {
   deploy_region: DEPLOY_REGION,
   sim_hz: SIM_TICK_HZ,
@@ -34,11 +89,157 @@ const NET_PROFILE = {
 };
 
 const rooms = new Map();
+const matchQueue = Matchmaking.createQueue({
+  baseWindow: MM_RATING_WINDOW,
+  windowGrowthPerSec: MM_RATING_WINDOW_GROWTH,
+  maxWindow: MM_MAX_RATING_WINDOW,
+  regionRelaxMs: MM_REGION_RELAX_MS,
+});
+const resultOutbox = createOutbox({
+  dir: OUTBOX_DIR,
+  baseDelayMs: WEBHOOK_RETRY_BASE_MS,
+  maxDelayMs: WEBHOOK_RETRY_MAX_MS,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  deliver: async (job, idempotencyKey) => {
+    const startedAt = process.hrtime.bigint();
+    const elapsedSec = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
+    try {
+      const result = await submitMatchResult({
+        apiUrl: API_URL,
+        signingKeyId: SIGNING_KEY_ID,
+        signingSecret: SIGNING_SECRET,
+        ...job,
+        idempotencyKey,
+        timeoutMs: WEBHOOK_TIMEOUT_MS,
+      });
+      metrics.webhookDuration.observe({ outcome: 'ok' }, elapsedSec());
+      return result;
+    } catch (err) {
+      metrics.webhookDuration.observe({ outcome: 'error' }, elapsedSec());
+      metrics.webhookFailures.inc({ status: Number.isFinite(err?.status) ? err.status : 'network' });
+      throw err;
+    }
+  },
+});
+const metrics = {
+  tickDuration: Metrics.histogram(
+    'spacecraft_tick_duration_seconds',
+    'Time spent in one RoomRuntime.tick wake-up (all fixed steps it runs)',
+    [0.0005, 0.001, 0.002, 0.004, 0.008, 0.016, 0.032, 0.064, 0.128],
+  ),
+  tickOverruns: Metrics.counter(
+    'spacecraft_tick_overruns_total',
+    'Loop wake-ups that took longer than one step (slow_tick) or fell so far behind that simulation time was dropped (dropped_time)',
+    ['kind'],
+  ),
+  framesSent: Metrics.counter('spacecraft_ws_frames_sent_total', 'WebSocket frames sent, by message type', ['type']),
+  bytesSent: Metrics.counter('spacecraft_ws_bytes_sent_total', 'WebSocket payload bytes sent, by message type', ['type']),
+  snapshots: Metrics.counter(
+    'spacecraft_state_snapshots_total',
+    'Full state snapshots sent instead of a delta, by why (no_baseline, baseline_expired, periodic)',
+    ['reason'],
+  ),
+  deltaEntityBytes: Metrics.counter(
+    'spacecraft_delta_entity_bytes_total',
+    'JSON bytes of state_delta entity updates sent, as field-level patches and as the whole entities they replace',
+    ['entity', 'encoding'],
+  ),
+  rtt: Metrics.histogram(
+    'spacecraft_rtt_seconds',
+    'Player round-trip times measured with server_ping/server_pong',
+    [0.01, 0.025, 0.05, 0.1, 0.15, 0.2, 0.3, 0.5, 0.8, 1.5],
+  ),
+  latencyAnomalies: Metrics.counter(
+    'spacecraft_latency_anomalies_total',
+    'Latency samples or claims that do not fit the measured RTT (unknown_pong, rtt_spike, rewind_capped, lag_claim)',
+    ['kind'],
+  ),
+  inputs: Metrics.counter('spacecraft_inputs_total', 'Player inputs by result and rejection reason', ['result', 'reason']),
+  inputCommands: Metrics.counter(
+    'spacecraft_input_commands_total',
+    'Input commands by outcome: applied, recovered (from a redundant copy), duplicate, lost (never arrived)',
+    ['result'],
+  ),
+  inputTiming: Metrics.counter(
+    'spacecraft_input_timing_total',
+    'Accepted inputs by arrival against the tick they were stamped for (on_time, late, early)',
+    ['timing'],
+  ),
+  authFailures: Metrics.counter('spacecraft_auth_failures_total', 'WebSocket connections refused at authentication', ['reason']),
+  webhookDuration: Metrics.histogram(
+    'spacecraft_webhook_duration_seconds',
+    'Result webhook request latency, by outcome',
+    [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    ['outcome'],
+  ),
+  webhookFailures: Metrics.counter(
+    'spacecraft_webhook_failures_total',
+    'Failed result webhook attempts, by HTTP status (network when there was no response)',
+    ['status'],
+  ),
+};
+Metrics.gauge('spacecraft_rooms', 'Rooms in memory, by status', () => {
+  const counts = { waiting: 0, running: 0, finished: 0 };
+  for (const room of rooms.values()) counts[room.finished ? 'finished' : room.running ? 'running' : 'waiting'] += 1;
+  return Object.entries(counts).map(([status, n]) => [{ status }, n]);
+});
+Metrics.gauge('spacecraft_sessions', 'Connected sessions in rooms, by role', () => {
+  let players = 0;
+  let spectators = 0;
+  for (const room of rooms.values()) {
+    players += room.sessions.size;
+    spectators += room.spectators.size;
+  }
+  return [[{ role: 'player' }, players], [{ role: 'spectator' }, spectators]];
+});
+Metrics.gauge('spacecraft_bots', 'Bots seated in rooms', () => [
+  [{}, [...rooms.values()].reduce((n, room) => n + room.bots.size, 0)],
+]);
+Metrics.gauge('spacecraft_matchmaking_queue', 'Players waiting in the matchmaking queue', () => [[{}, matchQueue.entries.size]]);
+Metrics.gauge('spacecraft_webhook_outbox', 'Results pending delivery, and dead-lettered since start', () => {
+  const stats = resultOutbox.stats();
+  return [[{ state: 'pending' }, stats.pending], [{ state: 'dead_lettered' }, stats.dead_lettered]];
+});
+const health = createHealth({
+  jwksUrl: JWKS_URL,
+  outbox: resultOutbox,
+  maxLoopLagMs: HEALTH_MAX_LOOP_LAG_MS,
+  maxTickMs: HEALTH_MAX_TICK_MS,
+  maxWebhookBacklog: HEALTH_MAX_WEBHOOK_BACKLOG,
+  describe: () => {
+    let running = 0;
+    let sessions = 0;
+    for (const room of rooms.values()) {
+      if (room.running) running += 1;
+      sessions += room.sessions.size + room.spectators.size;
+    }
+    return {
+      service: 'space-craft',
+      ...NET_PROFILE,
+      rooms: rooms.size,
+      running_rooms: running,
+      sessions,
+      queued_players: matchQueue.entries.size,
+    };
+  },
+});
+const checkpoints = CHECKPOINT_DIR ? createCheckpointStore({ dir: CHECKPOINT_DIR, maxAgeMs: CHECKPOINT_MAX_AGE_MS }) : null;
+const settlingResults = new Set(); // handleMatchEnd promises a shutdown waits for
+let draining = null; // { deadline } once SIGTERM/SIGINT arrived
+const queuedClients = new Map(); // userId -> { ws, session } while in the queue
+const matchAssignments = new Map(); // userId -> roomId reserved for them by matchmaking
 
 function sendJson(ws, frame) {
+  return sendRaw(ws, JSON.stringify(frame), frame.type);
+}
+
+/** type only labels the sent-frame metrics. */
+function sendRaw(ws, msg, type = 'other') {
   if (!ws || ws.readyState !== 1) return false;
   try {
-    ws.send(JSON.stringify(frame));
+    ws.send(msg);
+    metrics.framesSent.inc({ type });
+    metrics.bytesSent.inc({ type }, Buffer.byteLength(msg));
     return true;
   } catch {
     return false;
@@ -54,81 +255,330 @@ process.on('uncaughtException', (err) => {
 });
 
 class RoomRuntime {
-  constructor(roomId, serviceId) {
+  constructor(roomId, serviceId, settings = roomSettingsFromClaims({})) {
     this.roomId = roomId;
     this.serviceId = serviceId || null;
 
-    this.minPlayers = MIN_PLAYERS;
-    this.sessions = new Map(); // sessionId -> { userId, ws }
+    this.mode = settings.mode;
+    this.rankBy = settings.rankBy;
+    this.minPlayers = settings.minPlayers;
+    this.maxPlayers = settings.maxPlayers;
+    this.teamSize = settings.teamSize;
+    this.friendlyFire = settings.friendlyFire;
+    this.teamByUser = new Map(); // team mode: userId -> teamId, kept across rematches
+    this.bestOf = settings.bestOf;
+    this.series = null; // best-of-N only: see server/series.js
+    this.recorder = null; // replay recorder for the current match (server/replay.js)
+    this.resultSessionId = null; // session_id the match result is submitted under
+    this.lobbyTimer = null; // FFA: start below maxPlayers once this fires
+    this.botDifficulty = settings.botDifficulty;
+    this.bots = new Map(); // botId -> bot (server/bot.js); bots hold seats like players
+    this.botTimer = null; // below minPlayers: fill the empty seats with bots once this fires
+    this.nextBotIndex = 1;
+    this.reservedFor = null; // matchmaking: Set of userIds the room is held for
+    this.reservationTimer = null;
+    this.sessions = new Map(); // sessionId -> { userId, ws, wire, baseTick, acks } (see sendStateFrames)
     this.connectedUserIds = new Set();
 
     this.running = false;
     this.finished = false;
     this.tickHandle = null;
-    this.lastTickTime = null; // hrtime for accurate delta
+    this.lastTickTime = null; // hrtime of the last loop wake-up
+    this.tickAccumulatorMs = 0; // real time not yet simulated
+    this.lastCheckpointAt = 0;
+    this.awaitingResume = false; // restored from a checkpoint: the clock starts when a player is back
 
     this.serverTick = 0;
-    this.networkTick = 0;
+    this.lastStepAt = null; // Date.now() of the last _step, for time_sync
+    this.networkTick = 0; // never reset: state_ack names frames by it for the room's lifetime
     this.state = null;
 
-    this.latestInputByUser = new Map(); // userId -> payload
+    this.latestInputByUser = new Map(); // userId -> payload applied on the last tick (held until the next command)
+    this.inputBuffers = new Map(); // userId -> server/inputbuffer.js queue of commands awaiting their tick
     this.lastSeqByUser = {}; // monotonic validation
+    this.lastCmdSeqByUser = {}; // newest input command taken in, to drop redundant copies
     this.ackSeqByPlayer = {};
-    this.smoothedLagByUser = {};
-    this.lastBroadcastState = null;
+    this.smoothedLagByUser = {}; // userId -> rewind in ms, half the server-measured RTT
+    this.latencyByUser = new Map(); // userId -> server/latency.js tracker for the current connection
+    this.stateHistory = new Map(); // networkTick -> network state sent to players, the delta baselines
+
+    this.matchIndex = 0;
+    this.rematchVotes = new Set(); // userIds that asked for a rematch after match_end
+
+    this.reconnectTimers = new Map(); // userId -> { timer, deadline } while in the grace window
+
+    this.spectators = new Map(); // sessionId -> { userId, ws, wire, baseTick, acks }
+    this.spectatorQueue = []; // delayed state frames: { dueAt, networkTick, payloadBase, networkState }
+    this.spectatorHistory = new Map(); // networkTick -> network state sent to spectators
+    this.spectatorTimer = null;
   }
 
+  /** Connected users plus seated bots. */
   get activePlayers() {
-    return [...this.connectedUserIds];
+    return [...this.connectedUserIds, ...this.bots.keys()];
+  }
+
+  /**
+   * A new user can take a seat unless the room is at maxPlayers or mid-match.
+   * Between matches a bot gives its seat up to a human.
+   */
+  hasSeatFor(userId) {
+    if (this.connectedUserIds.has(userId) || this.reconnectTimers.has(userId)) return true;
+    if (this.reservedFor && !this.reservedFor.has(userId)) return false;
+    if (this.running && !this.finished) return false;
+    return this.connectedUserIds.size < this.maxPlayers;
   }
 
-  upsertSession(sessionId, userId, ws) {
-    this.sessions.set(sessionId, { userId, ws });
+  /** True while the room waits for this user: a matchmaking seat or a reconnect. */
+  expects(userId) {
+    if (this.connectedUserIds.has(userId)) return false;
+    return Boolean(this.reservedFor?.has(userId)) || this.reconnectTimers.has(userId);
+  }
+
+  /**
+   * Hold the room for a matchmaking group (with their teams in team mode).
+   * Seats nobody else until everyone joined or MM_RESERVE_MS passed.
+   */
+  reserve(userIds, teams = {}) {
+    this.reservedFor = new Set(userIds);
+    for (const [userId, teamId] of Object.entries(teams)) this.teamByUser.set(userId, teamId);
+    this.reservationTimer = setTimeout(() => this._expireReservation(), MM_RESERVE_MS);
+  }
+
+  _expireReservation() {
+    this.reservationTimer = null;
+    if (!this.reservedFor) return;
+    for (const userId of this.reservedFor) {
+      if (this.connectedUserIds.has(userId)) continue;
+      this.teamByUser.delete(userId);
+      if (matchAssignments.get(userId) === this.roomId) matchAssignments.delete(userId);
+    }
+    this.reservedFor = null;
+    if (this.sessions.size === 0) {
+      this.dispose();
+      return;
+    }
+    this.maybeStart();
+  }
+
+  _clearReservation() {
+    if (this.reservationTimer) clearTimeout(this.reservationTimer);
+    this.reservationTimer = null;
+    this.reservedFor = null;
+  }
+
+  /**
+   * Returns { resumed: true } when the user comes back inside their reconnect
+   * grace window; their ship and seq/ack bookkeeping are kept as they were.
+   */
+  upsertSession(sessionId, userId, ws, { teamId = null, wire = Wire.WIRE_JSON } = {}) {
+    this.sessions.set(sessionId, { userId, ws, wire, baseTick: null, acks: false });
     this.connectedUserIds.add(userId);
+    // A new connection is measured afresh; no rewind until its first pong.
+    this.latencyByUser.set(userId, createLatencyTracker({ maxRewindMs: MAX_LAG_COMP_MS }));
+    delete this.smoothedLagByUser[userId];
+    this.inputBuffers.delete(userId); // a new connection estimates the server tick afresh
+    if (!this.running || this.finished) this._trimBots();
+    if (this.mode === 'team' && !this.teamByUser.has(userId)) {
+      this.teamByUser.set(userId, this._assignTeam(teamId));
+    }
+
+    if (this.reconnectTimers.has(userId)) {
+      this._resumePlayer(userId);
+      return { resumed: true };
+    }
 
     // New direct connection can restart seq at 1.
     this.lastSeqByUser[userId] = 0;
+    this.lastCmdSeqByUser[userId] = 0;
     this.ackSeqByPlayer[userId] = 0;
     if (!this.latestInputByUser.has(userId)) {
-      this.latestInputByUser.set(userId, { turn: 0, thrust: 0, fire: false, fire_pressed: false, lag_comp_ms: 0 });
+      this.latestInputByUser.set(userId, neutralInput());
     }
+    return { resumed: false };
   }
 
-  removeSession(sessionId) {
+  /**
+   * Drop a socket. With allowReconnect, a player who loses their last socket
+   * mid-match is frozen for RECONNECT_GRACE_MS instead of losing at once.
+   */
+  removeSession(sessionId, { allowReconnect = false } = {}) {
     const removed = this.sessions.get(sessionId);
     this.sessions.delete(sessionId);
+    if (!removed) return;
+
+    const userId = removed.userId;
+    const stillConnected = [...this.sessions.values()].some((s) => s.userId === userId);
+    if (stillConnected) return;
+
+    this.connectedUserIds.delete(userId);
+    this.rematchVotes.delete(userId);
+
+    const inMatch = this.running && !this.finished && Boolean(this.state?.players?.[userId]);
+    if (allowReconnect && inMatch && RECONNECT_GRACE_MS > 0) {
+      this._holdForReconnect(userId);
+      return;
+    }
 
-    if (removed) {
-      const stillConnected = [...this.sessions.values()].some((s) => s.userId === removed.userId);
-      if (!stillConnected) {
-        this.connectedUserIds.delete(removed.userId);
-        delete this.lastSeqByUser[removed.userId];
-        delete this.ackSeqByPlayer[removed.userId];
-        delete this.smoothedLagByUser[removed.userId];
-        this.latestInputByUser.delete(removed.userId);
+    this._dropPlayer(userId);
+  }
+
+  addSpectator(sessionId, userId, ws, wire = Wire.WIRE_JSON) {
+    this.spectators.set(sessionId, { userId, ws, wire, baseTick: null, acks: false });
+  }
+
+  /** state_ack: the client applied that frame, so later deltas may build on it. */
+  ackState(sessionId, networkTick) {
+    const session = this.sessions.get(sessionId);
+    const receiver = session || this.spectators.get(sessionId);
+    if (!receiver || !Number.isInteger(networkTick)) return;
+    // Until its first ack the receiver was advanced on send; that baseline was
+    // never confirmed, so the acked tick replaces it outright.
+    const firstAck = !receiver.acks;
+    receiver.acks = true;
+    const history = session ? this.stateHistory : this.spectatorHistory;
+    if (!history.has(networkTick)) {
+      if (firstAck) receiver.baseTick = null;
+    } else if (firstAck || receiver.baseTick === null || networkTick > receiver.baseTick) {
+      receiver.baseTick = networkTick;
+    }
+  }
+
+  removeSpectator(sessionId) {
+    this.spectators.delete(sessionId);
+    if (this.sessions.size === 0 && this.spectators.size === 0 && this.reconnectTimers.size === 0) {
+      this.dispose();
+    }
+  }
+
+  _holdForReconnect(userId) {
+    Game.setPlayerFrozen(this.state, userId, true);
+    this.latestInputByUser.set(userId, neutralInput());
+    this.inputBuffers.delete(userId);
+    this.recorder?.freeze(userId, true);
+    this.recorder?.input(userId, neutralInput());
+
+    const deadline = Date.now() + RECONNECT_GRACE_MS;
+    const timer = setTimeout(() => {
+      this.reconnectTimers.delete(userId);
+      this._dropPlayer(userId);
+    }, RECONNECT_GRACE_MS);
+    this.reconnectTimers.set(userId, { timer, deadline });
+
+    this.broadcast('player_reconnecting', {
+      room_id: this.roomId,
+      player_id: userId,
+      grace_ms: RECONNECT_GRACE_MS,
+      deadline_ts: deadline,
+      server_tick: this.serverTick,
+    });
+  }
+
+  _resumePlayer(userId) {
+    const pending = this.reconnectTimers.get(userId);
+    clearTimeout(pending.timer);
+    this.reconnectTimers.delete(userId);
+    if (this.awaitingResume) {
+      this.awaitingResume = false;
+      this.lastTickTime = process.hrtime.bigint();
+      this._scheduleNextTick();
+    }
+
+    if (this.state) {
+      Game.setPlayerFrozen(this.state, userId, false);
+      this.recorder?.freeze(userId, false);
+    }
+    this.broadcast('player_reconnected', {
+      room_id: this.roomId,
+      player_id: userId,
+      server_tick: this.serverTick,
+    });
+  }
+
+  /**
+   * Honour the team from the token when it has a free seat and does not make a
+   * third team; otherwise put the player on the smaller team.
+   */
+  _assignTeam(requested) {
+    const counts = new Map();
+    for (const teamId of this.teamByUser.values()) counts.set(teamId, (counts.get(teamId) || 0) + 1);
+    const hasSeat = (teamId) => (counts.get(teamId) || 0) < this.teamSize;
+
+    if (requested && hasSeat(requested) && (counts.has(requested) || counts.size < 2)) {
+      return requested;
+    }
+    const candidates = [...counts.keys()];
+    for (const teamId of DEFAULT_TEAM_IDS) {
+      if (candidates.length >= 2) break;
+      if (!candidates.includes(teamId)) candidates.push(teamId);
+    }
+    return candidates
+      .filter(hasSeat)
+      .sort((a, b) => (counts.get(a) || 0) - (counts.get(b) || 0))[0] || candidates[0];
+  }
+
+  _dropPlayer(userId) {
+    this.teamByUser.delete(userId);
+    delete this.lastSeqByUser[userId];
+    delete this.lastCmdSeqByUser[userId];
+    delete this.ackSeqByPlayer[userId];
+    delete this.smoothedLagByUser[userId];
+    this.latencyByUser.delete(userId);
+    this.latestInputByUser.delete(userId);
+    this.inputBuffers.delete(userId);
+
+    this.broadcast('player_left', {
+      room_id: this.roomId,
+      player_id: userId,
+    });
+
+    if (this.series && this.running && !this.finished) Series.quit(this.series, userId);
+
+    if (this.running && !this.finished && this.state?.players?.[userId]) {
+      const remaining = Object.keys(this.state.players).filter((pid) => (
+        this.connectedUserIds.has(pid) || this.reconnectTimers.has(pid) || this.bots.has(pid)
+      ));
+      const humansLeft = remaining.some((pid) => !this.bots.has(pid));
+      if (remaining.length < 2 || !humansLeft) {
+        // Bots left among themselves do not share a win, and a last player who
+        // is away as well does not win by outlasting the other's grace period.
+        const abandoned = remaining.length < 2
+          && !remaining.some((pid) => this.connectedUserIds.has(pid) || this.bots.has(pid));
+        const winnerIds = remaining.length < 2 && !abandoned ? remaining : [];
+        const reason = abandoned ? 'abandoned' : 'player_disconnected';
+        Game.endMatch(this.state, winnerIds, reason);
+        this.recorder?.endMatch(winnerIds, reason);
+        this._finishMatch(Game.isTerminal(this.state), { lastRound: true });
+        this.dispose();
+        return;
       }
+      // FFA carries on without them.
+      Game.eliminate(this.state, userId);
+      this.recorder?.eliminate(userId);
     }
 
-    if (this.running && !this.finished && this.connectedUserIds.size < this.minPlayers) {
-      this.finished = true;
-      this.broadcast('match_end', {
-        room_id: this.roomId,
-        protocol_version: '2',
-        server_ts: Date.now(),
-        server_tick: this.serverTick,
-        winner_ids: [...this.connectedUserIds],
-        reason: 'player_disconnected',
-        final_stats: buildFinalStats(this.state),
-      });
-      this.stop();
-      rooms.delete(this.roomId);
-      return;
+    if (this.activePlayers.length < this.minPlayers) this._clearLobbyTimer();
+
+    if (this.sessions.size === 0 && this.reconnectTimers.size === 0) {
+      this.dispose();
     }
+  }
 
-    if (this.sessions.size === 0) {
-      this.stop();
-      rooms.delete(this.roomId);
+  dispose() {
+    this.stop();
+    checkpoints?.remove(this.roomId);
+    this._clearLobbyTimer();
+    this._clearBotTimer();
+    this._clearReservation();
+    for (const [userId, roomId] of matchAssignments) {
+      if (roomId === this.roomId) matchAssignments.delete(userId);
     }
+    for (const { timer } of this.reconnectTimers.values()) clearTimeout(timer);
+    this.reconnectTimers.clear();
+    if (this.spectatorTimer) clearTimeout(this.spectatorTimer);
+    this.spectatorTimer = null;
+    this.spectatorQueue = [];
+    if (rooms.get(this.roomId) === this) rooms.delete(this.roomId);
   }
 
   enqueueInput(userId, seq, payload) {
@@ -146,45 +596,378 @@ class RoomRuntime {
     this.lastSeqByUser[userId] = safeSeq;
     this.ackSeqByPlayer[userId] = safeSeq;
 
-    const now = Date.now();
-    const clientSentAtMs = Number(payload?.client_sent_at_ms || 0);
-    let lagCompMs = Number(this.smoothedLagByUser[userId] || 0);
-    if (clientSentAtMs > 0) {
-      const ageMs = now - clientSentAtMs;
-      if (ageMs >= 0 && ageMs <= MAX_CLIENT_INPUT_AGE_MS) {
-        const prev = Number(this.smoothedLagByUser[userId] || ageMs);
-        lagCompMs = Math.max(0, Math.min(MAX_LAG_COMP_MS, prev * 0.8 + ageMs * 0.2));
-        this.smoothedLagByUser[userId] = lagCompMs;
+    // The rewind comes from server-timed round trips (serverPong); what the
+    // client claims is only checked against it.
+    const lagCompMs = Number(this.smoothedLagByUser[userId] || 0);
+    const oneWayMs = this.latencyByUser.get(userId)?.oneWayMs();
+    const claimedMs = Number(payload?.lag_comp_ms);
+    if (oneWayMs != null && claimedMs > oneWayMs + LAG_CLAIM_TOLERANCE_MS) {
+      this._latencyAnomaly(userId, 'lag_claim', { claimed_ms: Math.round(claimedMs), one_way_ms: Math.round(oneWayMs) });
+    }
+
+    // Clients that number their commands (cmd_seq) repeat the last few unacked
+    // ones in `redundant`, oldest first, so a lost frame costs nothing as long
+    // as a later one arrives. Copies already taken in are dropped; the rest are
+    // buffered in order ahead of the frame's own command.
+    const cmdSeq = Number(payload?.cmd_seq);
+    if (!Number.isInteger(cmdSeq) || cmdSeq <= 0) {
+      this._bufferInput(userId, payload, lagCompMs);
+      return { accepted: true };
+    }
+    const redundant = Array.isArray(payload.redundant) ? payload.redundant.slice(-MAX_REDUNDANT_INPUTS) : [];
+    let lastCmdSeq = Number(this.lastCmdSeqByUser[userId] || 0);
+    for (const command of [...redundant, payload]) {
+      const n = Number(command?.cmd_seq);
+      if (!Number.isInteger(n) || n > cmdSeq) continue;
+      if (n <= lastCmdSeq) {
+        metrics.inputCommands.inc({ result: 'duplicate' });
+        continue;
       }
+      if (n > lastCmdSeq + 1) metrics.inputCommands.inc({ result: 'lost' }, n - lastCmdSeq - 1);
+      lastCmdSeq = n;
+      this._bufferInput(userId, command, lagCompMs);
+      metrics.inputCommands.inc({ result: command === payload ? 'applied' : 'recovered' });
     }
+    this.lastCmdSeqByUser[userId] = lastCmdSeq;
+    return { accepted: true };
+  }
 
-    this.latestInputByUser.set(userId, {
-      turn: Number(payload?.turn || 0),
-      thrust: Number(payload?.thrust || 0),
-      fire: Boolean(payload?.fire),
-      fire_pressed: Boolean(payload?.fire_pressed),
-      fire_seq: payload?.fire_seq,
+  _bufferInput(userId, command, lagCompMs) {
+    const input = {
+      turn: Number(command?.turn || 0),
+      thrust: Number(command?.thrust || 0),
+      fire: Boolean(command?.fire),
+      fire_pressed: Boolean(command?.fire_pressed),
+      fire_seq: command?.fire_seq,
       lag_comp_ms: lagCompMs,
-    });
-    return { accepted: true };
+    };
+    let buffer = this.inputBuffers.get(userId);
+    if (!buffer) {
+      buffer = createInputBuffer({ maxTicks: INPUT_BUFFER_MAX_TICKS });
+      this.inputBuffers.set(userId, buffer);
+    }
+    const intendedTick = Number.isInteger(command?.tick) ? command.tick : null;
+    metrics.inputTiming.inc({ timing: buffer.push(input, intendedTick, this.serverTick + 1) });
+  }
+
+  /** Starts a server-timed round trip to every connected player. */
+  _pingPlayers() {
+    for (const { userId, ws } of this.sessions.values()) {
+      const latency = this.latencyByUser.get(userId);
+      if (!latency) continue;
+      sendJson(ws, {
+        type: 'server_ping',
+        payload: { room_id: this.roomId, id: latency.ping(), ...latency.status() },
+      });
+    }
+  }
+
+  serverPong(sessionId, id) {
+    const session = this.sessions.get(sessionId);
+    const latency = session && this.latencyByUser.get(session.userId);
+    if (!latency) return;
+    const { rttMs, anomaly } = latency.pong(id);
+    if (rttMs !== null) {
+      metrics.rtt.observe(rttMs / 1000);
+      this.smoothedLagByUser[session.userId] = latency.rewindMs();
+    }
+    if (anomaly) this._latencyAnomaly(session.userId, anomaly, { id, rtt_ms: rttMs });
   }
 
+  _latencyAnomaly(userId, kind, detail) {
+    metrics.latencyAnomalies.inc({ kind });
+    const latency = this.latencyByUser.get(userId);
+    if (!latency?.shouldLog(kind)) return;
+    console.warn('[LATENCY] anomaly', { roomId: this.roomId, userId, kind, ...detail, ...latency.status() });
+  }
+
+  /** Jitter buffer health for each player that stamps its inputs, so it can move its lead. */
+  _sendInputStatus() {
+    for (const { userId, ws } of this.sessions.values()) {
+      const status = this.inputBuffers.get(userId)?.status(this.serverTick);
+      if (!status) continue;
+      sendJson(ws, {
+        type: 'input_status',
+        payload: { room_id: this.roomId, server_tick: this.serverTick, ...status },
+      });
+    }
+  }
+
+  /**
+   * Starts at once when the room is full; with fewer (but at least minPlayers)
+   * waits LOBBY_FILL_WAIT_MS for more players to arrive. Below minPlayers,
+   * bots take the empty seats after BOT_FILL_WAIT_MS. A reserved room starts
+   * as soon as its whole matchmaking group is in.
+   */
   maybeStart() {
+    if (this.running || this.finished || draining) return;
+    if (this.reservedFor) {
+      if (![...this.reservedFor].every((pid) => this.connectedUserIds.has(pid))) return;
+      this._clearReservation();
+      this._beginMatch();
+      return;
+    }
+    if (this.activePlayers.length < this.minPlayers) {
+      if (BOT_FILL_WAIT_MS > 0 && !this.botTimer && this.connectedUserIds.size > 0) {
+        this.botTimer = setTimeout(() => {
+          this.botTimer = null;
+          if (this.running || this.finished || this.connectedUserIds.size === 0) return;
+          this._fillWithBots();
+          this._beginMatch();
+        }, BOT_FILL_WAIT_MS);
+      }
+      return;
+    }
+    this._clearBotTimer();
+
+    if (this.activePlayers.length < this.maxPlayers && LOBBY_FILL_WAIT_MS > 0) {
+      if (!this.lobbyTimer) {
+        this.lobbyTimer = setTimeout(() => {
+          this.lobbyTimer = null;
+          this._beginMatch();
+        }, LOBBY_FILL_WAIT_MS);
+      }
+      return;
+    }
+
+    this._beginMatch();
+  }
+
+  _beginMatch() {
+    this._clearLobbyTimer();
     if (this.running || this.finished) return;
-    if (this.connectedUserIds.size < this.minPlayers) return;
+    if (this.activePlayers.length < this.minPlayers) return;
 
-    const players = this.activePlayers.slice(0, 2);
-    this.state = Game.initState(players, hashRoomId(this.roomId));
-    this.running = true;
-    this.serverTick = 0;
-    this.networkTick = 0;
+    const players = this.activePlayers.slice(0, this.maxPlayers);
+    this._startSeries(players);
+    this._startMatch(players, hashRoomId(this.roomId));
 
     this.broadcast('game_start', {
       room_id: this.roomId,
       player_ids: players,
+      ...this.matchProfile(),
+      ...NET_PROFILE,
+    });
+  }
+
+  _clearLobbyTimer() {
+    if (this.lobbyTimer) clearTimeout(this.lobbyTimer);
+    this.lobbyTimer = null;
+  }
+
+  _clearBotTimer() {
+    if (this.botTimer) clearTimeout(this.botTimer);
+    this.botTimer = null;
+  }
+
+  /** Seat bots until the room reaches minPlayers. */
+  _fillWithBots() {
+    while (this.activePlayers.length < this.minPlayers) {
+      const botId = `bot:${this.nextBotIndex++}`;
+      const bot = Bot.createBot(botId, {
+        difficulty: this.botDifficulty,
+        seed: hashRoomId(`${this.roomId}:${botId}`),
+      });
+      this.bots.set(botId, bot);
+      if (this.mode === 'team') this.teamByUser.set(botId, this._assignTeam(null));
+      this.latestInputByUser.set(botId, neutralInput());
+      this.broadcast('player_joined', {
+        room_id: this.roomId,
+        player_id: botId,
+        player_ids: this.activePlayers,
+        waiting_for: Math.max(0, this.minPlayers - this.activePlayers.length),
+        max_players: this.maxPlayers,
+        is_bot: true,
+        bot_difficulty: bot.difficulty,
+      });
+    }
+  }
+
+  /** Give seats back to humans: drop bots while the room is over maxPlayers. */
+  _trimBots() {
+    for (const botId of [...this.bots.keys()].reverse()) {
+      if (this.activePlayers.length <= this.maxPlayers) break;
+      this._removeBot(botId);
+    }
+  }
+
+  _removeBot(botId) {
+    this.bots.delete(botId);
+    this.teamByUser.delete(botId);
+    this.latestInputByUser.delete(botId);
+    this.broadcast('player_left', {
+      room_id: this.roomId,
+      player_id: botId,
+    });
+  }
+
+  matchProfile() {
+    const profile = {
+      mode: this.mode,
+      rank_by: this.rankBy,
+      min_players: this.minPlayers,
+      max_players: this.maxPlayers,
+    };
+    if (this.bestOf > 1) profile.best_of = this.bestOf;
+    if (this.bots.size > 0) profile.bot_ids = [...this.bots.keys()];
+    if (this.mode === 'team') {
+      profile.team_size = this.teamSize;
+      profile.friendly_fire = this.friendlyFire;
+      profile.teams = Object.fromEntries(this.teamByUser);
+    }
+    return profile;
+  }
+
+  forfeit(userId) {
+    if (!this.running || this.finished || !this.state) return;
+    if (!Game.forfeit(this.state, userId)) return;
+    this.recorder?.forfeit(userId);
+    if (this.series) Series.quit(this.series, userId);
+    const terminal = Game.isTerminal(this.state);
+    if (terminal.terminal) this._finishMatch(terminal);
+  }
+
+  requestRematch(userId) {
+    if (!this.finished || !this.connectedUserIds.has(userId) || draining) return;
+
+    this.rematchVotes.add(userId);
+    const votes = [...this.rematchVotes].filter((pid) => this.connectedUserIds.has(pid));
+    const voters = [...this.connectedUserIds]; // bots are always up for a rematch
+
+    this.broadcast('rematch_request', {
+      room_id: this.roomId,
+      player_id: userId,
+      votes,
+      needed: voters.length,
+    });
+
+    const unanimous = this.activePlayers.length >= this.minPlayers && voters.every((pid) => this.rematchVotes.has(pid));
+    if (unanimous) this.restartMatch();
+  }
+
+  restartMatch() {
+    this.stop();
+    this.matchIndex += 1;
+    this.rematchVotes.clear();
+    this.finished = false;
+
+    const players = this.activePlayers.slice(0, this.maxPlayers);
+    const seed = hashRoomId(`${this.roomId}:${this.matchIndex}`);
+    this._startSeries(players);
+    this._startMatch(players, seed);
+
+    this.broadcast('game_restarted', {
+      room_id: this.roomId,
+      player_ids: players,
+      match_index: this.matchIndex,
+      ...this.matchProfile(),
       ...NET_PROFILE,
     });
+  }
+
+  _startRecording() {
+    this.recorder = REPLAY_DIR ? Replay.createRecorder({ roomId: this.roomId, matchIndex: this.matchIndex }) : null;
+  }
+
+  _startSeries(players) {
+    this._startRecording();
+    // Pinned per match so every retry of its result carries the same idempotency key.
+    this.resultSessionId = [...this.sessions.keys()][0] || crypto.randomUUID();
+    const sides = this.mode === 'team' ? Object.fromEntries(this.teamByUser) : {};
+    this.series = this.bestOf > 1 ? Series.createSeries(this.bestOf, players, sides) : null;
+  }
+
+  /**
+   * Record the round that just ended. Returns true when another round follows
+   * (the next one is already set up), false when the series is over.
+   */
+  _advanceSeries(terminal, { lastRound = false } = {}) {
+    const series = this.series;
+    const roundStats = buildFinalStats(this.state);
+    Series.recordRound(series, {
+      winnerIds: terminal.winnerIds,
+      reason: terminal.reason,
+      ranking: this.state.ranking,
+      finalStats: roundStats,
+    });
+
+    this.broadcast('round_end', {
+      room_id: this.roomId,
+      server_tick: this.serverTick,
+      round: series.round,
+      best_of: series.bestOf,
+      winner_ids: terminal.winnerIds,
+      reason: terminal.reason,
+      ranking: this.state.ranking || [],
+      score: { ...series.score },
+      final_stats: roundStats,
+    });
+
+    const roster = Series.roster(series, this._presentPlayers());
+    if (lastRound || Series.isOver(series, roster)) return false;
+
+    series.round += 1;
+    const seed = hashRoomId(`${this.roomId}:${this.matchIndex}:${series.round}`);
+    this._startMatch(roster, seed, { delayMs: ROUND_INTERMISSION_MS, keepTicks: true });
+    for (const userId of this.reconnectTimers.keys()) {
+      Game.setPlayerFrozen(this.state, userId, true);
+      this.recorder?.freeze(userId, true);
+    }
+
+    this.broadcast('round_start', {
+      room_id: this.roomId,
+      round: series.round,
+      best_of: series.bestOf,
+      player_ids: roster,
+      score: { ...series.score },
+      starts_in_ms: ROUND_INTERMISSION_MS,
+    });
+    return true;
+  }
+
+  _presentPlayers() {
+    return [...this.activePlayers, ...this.reconnectTimers.keys()];
+  }
+
+  /**
+   * With delayMs the new state is in place at once but ticking starts later.
+   * keepTicks carries the tick counters on (next round of a series).
+   */
+  _startMatch(players, seed, { delayMs = 0, keepTicks = false } = {}) {
+    const options = {
+      mode: this.mode,
+      rankBy: this.rankBy,
+      teams: Object.fromEntries(this.teamByUser),
+      friendlyFire: this.friendlyFire,
+    };
+    this.state = Game.initState(players, seed, options);
+    this.running = true;
+    if (!keepTicks) this.serverTick = 0;
+    this.lastStepAt = null; // time_sync has no tick to anchor until the loop runs
+    this._resetBaselines();
+    this.inputBuffers.clear();
+    this._pingPlayers(); // an RTT sample before the first shots
+    for (const input of this.latestInputByUser.values()) {
+      input.fire_pressed = false;
+    }
+
+    // Inputs are sticky across rounds/rematches, so the replay starts from them.
+    this.recorder?.startRound({ seed, playerIds: players, options });
+    for (const pid of players) {
+      const input = this.latestInputByUser.get(pid);
+      if (input) this.recorder?.input(pid, input);
+    }
 
+    if (this.tickHandle) clearTimeout(this.tickHandle);
+    this.tickHandle = null;
+    this.tickAccumulatorMs = 0;
+    if (delayMs > 0) {
+      this.tickHandle = setTimeout(() => {
+        this.lastTickTime = process.hrtime.bigint();
+        this._scheduleNextTick();
+      }, delayMs);
+      return;
+    }
     this.lastTickTime = process.hrtime.bigint();
     this._scheduleNextTick();
   }
@@ -192,11 +975,9 @@ class RoomRuntime {
   _scheduleNextTick() {
     if (!this.running || this.finished) return;
     const now = process.hrtime.bigint();
-    const elapsedSinceTickStartNs = Number(now - this.lastTickTime);
-    const targetNs = SIM_TICK_MS * 1_000_000;
-    // Target: next tick fires SIM_TICK_MS after the current tick started
-    // Subtract elapsed processing time to self-correct for drift
-    const delayMs = Math.max(0, Math.round((targetNs - elapsedSinceTickStartNs) / 1_000_000));
+    const elapsedSinceWakeMs = Number(now - this.lastTickTime) / 1_000_000;
+    // Wake when the accumulator will hold a full step; time spent processing counts.
+    const delayMs = Math.max(0, Math.round(SIM_STEP_MS - this.tickAccumulatorMs - elapsedSinceWakeMs));
     this.tickHandle = setTimeout(() => this.tick(), delayMs);
   }
 
@@ -207,20 +988,68 @@ class RoomRuntime {
       this.tickHandle = null;
     }
     this.lastTickTime = null;
-    this.lastBroadcastState = null;
+    this.tickAccumulatorMs = 0;
+    this._resetBaselines();
   }
 
+  /** New match or stopped: every receiver's next frame is a full snapshot. */
+  _resetBaselines() {
+    this.stateHistory.clear();
+    this.spectatorHistory.clear();
+  }
+
+  /**
+   * Loop wake-up: bank the real time that passed and run as many fixed
+   * SIM_STEP_MS steps as it covers, so the simulation never sees a variable dt.
+   */
   tick() {
     if (!this.running || this.finished || !this.state) return;
 
     const now = process.hrtime.bigint();
-    // Use actual elapsed time, clamped to avoid spiral-of-death
-    const actualDtMs = this.lastTickTime
-      ? Math.min(Number(now - this.lastTickTime) / 1_000_000, SIM_TICK_MS * 2)
-      : SIM_TICK_MS;
+    const elapsedMs = this.lastTickTime ? Number(now - this.lastTickTime) / 1_000_000 : SIM_STEP_MS;
     this.lastTickTime = now;
+    const banked = this.tickAccumulatorMs + elapsedMs;
+    this.tickAccumulatorMs = Math.min(banked, SIM_STEP_MS * MAX_CATCHUP_STEPS);
+    if (banked > this.tickAccumulatorMs) metrics.tickOverruns.inc({ kind: 'dropped_time' });
+
+    let ended = false;
+    while (this.tickAccumulatorMs >= SIM_STEP_MS) {
+      this.tickAccumulatorMs -= SIM_STEP_MS;
+      if (this._step()) {
+        ended = true;
+        break;
+      }
+    }
 
+    const tookMs = Number(process.hrtime.bigint() - now) / 1_000_000;
+    metrics.tickDuration.observe(tookMs / 1000);
+    health.recordTick(tookMs);
+    if (tookMs > SIM_STEP_MS) metrics.tickOverruns.inc({ kind: 'slow_tick' });
+    if (ended) return;
+    if (checkpoints && Date.now() - this.lastCheckpointAt >= CHECKPOINT_INTERVAL_MS) this.checkpoint();
+    this._scheduleNextTick();
+  }
+
+  /** One fixed simulation step. Returns true once the match (or round) has ended. */
+  _step() {
     this.serverTick += 1;
+    this.lastStepAt = Date.now();
+
+    // Inputs are recorded as they are taken for this tick, so they belong before the tick marker.
+    for (const bot of this.bots.values()) {
+      if (!this.state.players[bot.id]) continue;
+      const input = bot.think(this.state);
+      if (!input) continue;
+      this.latestInputByUser.set(bot.id, input);
+      this.recorder?.input(bot.id, input);
+    }
+    for (const [pid, buffer] of this.inputBuffers) {
+      const input = buffer.take(this.serverTick);
+      if (!input) continue;
+      this.latestInputByUser.set(pid, input);
+      this.recorder?.input(pid, input);
+    }
+    this.recorder?.tick(SIM_STEP_MS);
 
     for (const [pid, input] of this.latestInputByUser.entries()) {
       Game.applyInput(this.state, pid, input);
@@ -229,158 +1058,528 @@ class RoomRuntime {
       }
     }
 
-    Game.tick(this.state, actualDtMs);
+    Game.tick(this.state, SIM_STEP_MS);
+    if (this.serverTick % INPUT_STATUS_EVERY_TICKS === 0) this._sendInputStatus();
+    if (this.serverTick % SERVER_PING_EVERY_TICKS === 0) this._pingPlayers();
 
     if (this.serverTick % NETWORK_EVERY_SIM_TICKS === 0) {
       this.networkTick += 1;
       const networkState = toNetworkState(this.state);
-      const payloadBase = {
+      const spectatorBase = {
         room_id: this.roomId,
         protocol_version: '2',
         server_ts: Date.now(),
         server_tick: this.serverTick,
-        ack_seq_by_player: this.ackSeqByPlayer,
+        network_tick: this.networkTick,
         ...NET_PROFILE,
       };
-
-      const shouldSendFullSnapshot = (
-        !this.lastBroadcastState ||
-        this.networkTick % FULL_SNAPSHOT_INTERVAL_NET_TICKS === 0
-      );
-      if (shouldSendFullSnapshot) {
-        this.broadcast('state_snapshot', {
-          ...payloadBase,
-          full_state: networkState,
-        });
-      } else {
-        const delta = buildDelta(this.lastBroadcastState, networkState);
-        this.broadcast('state_delta', {
-          ...payloadBase,
-          changed_entities: delta.changed_entities,
-          removed_entities: delta.removed_entities,
-        });
-      }
-      this.lastBroadcastState = networkState;
+      // Copied: ackSeqByPlayer keeps moving while frames wait to be encoded.
+      // Spectators have no inputs to reconcile, so they get none.
+      const payloadBase = { ...spectatorBase, ack_seq_by_player: { ...this.ackSeqByPlayer } };
+
+      sendStateFrames(this.sessions.values(), this.stateHistory, this.networkTick, payloadBase, networkState);
+      this._queueSpectatorFrame({
+        dueAt: Date.now() + SPECTATOR_DELAY_MS,
+        networkTick: this.networkTick,
+        payloadBase: spectatorBase,
+        networkState,
+      });
     }
 
     const terminal = Game.isTerminal(this.state);
-    if (!terminal.terminal) {
-      this._scheduleNextTick();
-      return;
-    }
+    if (!terminal.terminal) return false;
 
+    this._finishMatch(terminal);
+    return true;
+  }
+
+  /** lastRound ends a series after this round even if it would go on (no humans left). */
+  _finishMatch(terminal, { lastRound = false } = {}) {
+    this.recorder?.endRound(this.state, terminal);
+    if (this.series && this._advanceSeries(terminal, { lastRound })) return;
     this.finished = true;
-    this.handleMatchEnd(terminal).catch((err) => {
+    checkpoints?.remove(this.roomId);
+    const settling = this.handleMatchEnd(terminal).catch((err) => {
       console.error('[MATCH_END] error', err?.message || err);
     });
+    settlingResults.add(settling);
+    settling.finally(() => settlingResults.delete(settling));
   }
 
   async handleMatchEnd(terminal) {
-    const finalStats = buildFinalStats(this.state);
+    const series = this.series;
+    let finalStats = buildFinalStats(this.state);
+    let winnerIds = terminal.winnerIds;
+    let participants = Object.keys(this.state?.players || {});
+    let ranking = this.state?.ranking || [];
+    let teamRanking = this.state?.teamRanking || [];
+    const botIds = [...this.bots.keys()];
+
+    if (series) {
+      winnerIds = terminal.reason === 'abandoned'
+        ? []
+        : Series.winners(series, Series.roster(series, this._presentPlayers()));
+      finalStats = Series.finalStats(series, { teamMode: this.mode === 'team' });
+      participants = [...series.participants];
+      ranking = [...participants].sort((a, b) => finalStats[a].placement - finalStats[b].placement);
+      if (finalStats.teams) {
+        teamRanking = Object.keys(finalStats.teams)
+          .sort((a, b) => finalStats.teams[a].placement - finalStats.teams[b].placement);
+      }
+      this.broadcast('series_end', {
+        room_id: this.roomId,
+        best_of: series.bestOf,
+        rounds_played: series.rounds.length,
+        score: { ...series.score },
+        winner_ids: winnerIds,
+        reason: terminal.reason,
+      });
+    }
+
+    for (const botId of botIds) {
+      if (finalStats[botId]) finalStats[botId].is_bot = true;
+    }
 
     this.broadcast('match_end', {
       room_id: this.roomId,
       protocol_version: '2',
       server_ts: Date.now(),
       server_tick: this.serverTick,
-      winner_ids: terminal.winnerIds,
+      winner_ids: winnerIds,
+      ranking,
+      team_ranking: teamRanking,
       reason: terminal.reason,
       final_stats: finalStats,
+      bot_ids: botIds,
     });
 
+    // Stop before the webhook round-trip: a rematch may restart the room meanwhile.
+    const sessionId = this.resultSessionId || [...this.sessions.keys()][0] || crypto.randomUUID();
+    const recorder = this.recorder;
+    this.recorder = null;
+    this.stop();
+
+    if (recorder) {
+      Replay.writeReplay(REPLAY_DIR, recorder.finish())
+        .then((file) => console.log('[REPLAY] saved', file))
+        .catch((err) => console.error('[REPLAY] write failed', err?.message || err));
+    }
+
+    if (!this.serviceId) {
+      console.error('[WEBHOOK] submit failed: missing service_id for result submission');
+      return;
+    }
+    const idempotencyKey = resultIdempotencyKey(this.serviceId, this.roomId, sessionId, this.matchIndex);
     try {
-      if (!this.serviceId) throw new Error('Missing service_id for result submission');
-      await submitMatchResult({
-        apiUrl: API_URL,
+      await resultOutbox.enqueue(idempotencyKey, {
         serviceId: this.serviceId,
-        signingKeyId: SIGNING_KEY_ID,
-        signingSecret: SIGNING_SECRET,
         roomId: this.roomId,
-        sessionId: [...this.sessions.keys()][0] || crypto.randomUUID(),
-        winnerIds: terminal.winnerIds,
-        participants: this.activePlayers,
+        sessionId,
+        winnerIds,
+        participants,
+        botIds: botIds.filter((pid) => participants.includes(pid)),
         reason: terminal.reason,
         finalStats,
+        endedAt: new Date().toISOString(),
       });
     } catch (err) {
-      console.error('[WEBHOOK] submit failed', err?.message || err);
+      console.error('[OUTBOX] enqueue failed', idempotencyKey, err?.message || err);
+    }
+  }
+
+  /** Save the running match so a restarted server can pick it up (server/checkpoint.js). */
+  checkpoint() {
+    this.lastCheckpointAt = Date.now();
+    const assigned = [...matchAssignments].filter(([, roomId]) => roomId === this.roomId).map(([userId]) => userId);
+    checkpoints.save(this.roomId, {
+      service_id: this.serviceId,
+      settings: {
+        mode: this.mode,
+        rankBy: this.rankBy,
+        minPlayers: this.minPlayers,
+        maxPlayers: this.maxPlayers,
+        teamSize: this.teamSize,
+        friendlyFire: this.friendlyFire,
+        bestOf: this.bestOf,
+        botDifficulty: this.botDifficulty,
+      },
+      match_index: this.matchIndex,
+      result_session_id: this.resultSessionId,
+      server_tick: this.serverTick,
+      network_tick: this.networkTick,
+      state: this.state,
+      players: this._presentPlayers().filter((pid) => !this.bots.has(pid)),
+      assigned_user_ids: assigned,
+      teams: Object.fromEntries(this.teamByUser),
+      inputs: Object.fromEntries(this.latestInputByUser),
+      last_seq: this.lastSeqByUser,
+      last_cmd_seq: this.lastCmdSeqByUser,
+      ack_seq: this.ackSeqByPlayer,
+      smoothed_lag: this.smoothedLagByUser,
+      series: this.series ? { ...this.series, quitters: [...this.series.quitters] } : null,
+      bots: [...this.bots.values()].map((bot) => bot.save()),
+      next_bot_index: this.nextBotIndex,
+    });
+  }
+
+  /**
+   * Rebuild a room from checkpoint() output. Every player is held as if they
+   * had just dropped, and the match clock stays stopped until one is back.
+   * The replay of a restored match is not recorded.
+   */
+  static fromCheckpoint(data) {
+    const room = new RoomRuntime(data.room_id, data.service_id, data.settings);
+    room.matchIndex = Number(data.match_index || 0);
+    room.resultSessionId = data.result_session_id || null;
+    room.serverTick = Number(data.server_tick || 0);
+    room.networkTick = Number(data.network_tick || 0);
+    room.state = data.state;
+    room.teamByUser = new Map(Object.entries(data.teams || {}));
+    room.latestInputByUser = new Map(Object.entries(data.inputs || {}));
+    room.lastSeqByUser = { ...data.last_seq };
+    room.lastCmdSeqByUser = { ...data.last_cmd_seq };
+    room.ackSeqByPlayer = { ...data.ack_seq };
+    room.smoothedLagByUser = { ...data.smoothed_lag };
+    room.series = data.series ? { ...data.series, quitters: new Set(data.series.quitters) } : null;
+    for (const saved of data.bots || []) {
+      room.bots.set(saved.id, Bot.createBot(saved.id, { difficulty: saved.difficulty, saved }));
     }
+    room.nextBotIndex = Number(data.next_bot_index || 1);
+    for (const userId of data.assigned_user_ids || []) matchAssignments.set(userId, room.roomId);
 
-    this.stop();
+    room.running = true;
+    room.awaitingResume = true;
+    for (const userId of data.players || []) {
+      if (room.state.players[userId]) room._holdForReconnect(userId);
+    }
+    return room;
+  }
+
+  /** Admin summary of the room (server/admin.js). */
+  describe() {
+    const statePlayers = this.state?.players || {};
+    const ids = [...new Set([...Object.keys(statePlayers), ...this._presentPlayers()])];
+    return {
+      room_id: this.roomId,
+      service_id: this.serviceId,
+      status: this.finished ? 'finished' : this.running ? 'running' : 'waiting',
+      ...this.matchProfile(),
+      match_index: this.matchIndex,
+      round: this.series?.round ?? null,
+      phase: this.state?.phase ?? null,
+      server_tick: this.serverTick,
+      remaining_ms: this.state ? Number(this.state.remainingMs || 0) : null,
+      players: ids.map((pid) => ({
+        id: pid,
+        connected: this.connectedUserIds.has(pid),
+        reconnecting: this.reconnectTimers.has(pid),
+        bot: this.bots.has(pid),
+        team_id: this.teamByUser.get(pid) ?? null,
+        alive: statePlayers[pid] ? Boolean(statePlayers[pid].alive) : null,
+        hp: statePlayers[pid] ? Number(statePlayers[pid].hp || 0) : null,
+      })),
+      sessions: [...this.sessions].map(([sessionId, { userId }]) => ({ session_id: sessionId, user_id: userId })),
+      spectators: [...this.spectators].map(([sessionId, { userId }]) => ({ session_id: sessionId, user_id: userId })),
+      reserved_for: this.reservedFor ? [...this.reservedFor] : null,
+    };
+  }
+
+  inspect() {
+    return {
+      ...this.describe(),
+      ranking: this.state?.ranking || [],
+      score: this.series ? { ...this.series.score } : null,
+      state: toNetworkState(this.state),
+    };
+  }
+
+  /** Close matching player/spectator sockets; players lose their seat without a grace window. */
+  kick({ sessionId = null, userId = null }) {
+    const matches = (sid, entry) => (sessionId ? sid === sessionId : entry.userId === userId);
+    const kicked = [];
+    for (const [sid, entry] of [...this.sessions, ...this.spectators]) {
+      if (!matches(sid, entry)) continue;
+      kicked.push({ session_id: sid, user_id: entry.userId });
+      sendJson(entry.ws, { type: 'error', payload: { code: 'KICKED', message: 'Removed from the room by an operator' } });
+      if (this.spectators.has(sid)) this.removeSpectator(sid);
+      else this.removeSession(sid, { allowReconnect: false });
+      try { entry.ws.close(); } catch { }
+    }
+    return kicked;
+  }
+
+  /** End the running match now; the result goes out like any other. */
+  forceEnd(reason, winnerIds = []) {
+    if (!this.running || this.finished || !this.state) return { ok: false, error: 'match_not_running' };
+    const winners = winnerIds.filter((pid) => this.state.players[pid]);
+    Game.endMatch(this.state, winners, reason);
+    this.recorder?.endMatch(winners, reason);
+    const terminal = Game.isTerminal(this.state);
+    this._finishMatch(terminal, { lastRound: true });
+    return { ok: true, winner_ids: terminal.winnerIds, reason: terminal.reason };
+  }
+
+  /**
+   * The server is draining: nothing new starts here. A running match plays on
+   * until the deadline (see shutdown()); everyone is told when that is.
+   */
+  announceShutdown(deadline) {
+    this._clearLobbyTimer();
+    this._clearBotTimer();
+    this._clearReservation();
+    this.broadcast('server_shutdown', {
+      room_id: this.roomId,
+      reason: 'server_shutdown',
+      match_continues: this.running && !this.finished,
+      deadline_ts: deadline,
+      server_ts: Date.now(),
+    });
   }
 
+  notice(message, level) {
+    this.broadcast('server_notice', {
+      room_id: this.roomId,
+      message,
+      level,
+      server_ts: Date.now(),
+    });
+    return this.sessions.size + this.spectators.size;
+  }
+
+  /** Room events go to players and spectators alike. */
   broadcast(type, payload) {
     const msg = JSON.stringify({ type, payload });
-    for (const { ws } of this.sessions.values()) {
-      if (ws.readyState === 1) {
-        try { ws.send(msg); } catch { }
-      }
+    for (const { ws } of this.sessions.values()) sendRaw(ws, msg, type);
+    for (const { ws } of this.spectators.values()) sendRaw(ws, msg, type);
+  }
+
+  _queueSpectatorFrame(frame) {
+    if (this.spectators.size === 0) {
+      this.spectatorQueue = [];
+      return;
     }
+    this.spectatorQueue.push(frame);
+    if (!this.spectatorTimer) this._flushSpectatorFrames();
+  }
+
+  /**
+   * Spectators watch on a SPECTATOR_DELAY_MS delay so they cannot feed live
+   * positions to a player. Their baselines come from the delayed stream.
+   */
+  _flushSpectatorFrames() {
+    this.spectatorTimer = null;
+    const now = Date.now();
+    while (this.spectatorQueue.length > 0 && this.spectatorQueue[0].dueAt <= now) {
+      const { networkTick, payloadBase, networkState } = this.spectatorQueue.shift();
+      sendStateFrames(this.spectators.values(), this.spectatorHistory, networkTick, payloadBase, networkState);
+    }
+    if (this.spectatorQueue.length > 0) {
+      const waitMs = Math.max(0, this.spectatorQueue[0].dueAt - now);
+      this.spectatorTimer = setTimeout(() => this._flushSpectatorFrames(), waitMs);
+    }
+  }
+}
+
+/**
+ * One network state to each receiver (session or spectator): a delta against
+ * the last frame it acknowledged with state_ack, or a full snapshot when it
+ * has none or that baseline has left history. Snapshots keep coming until the
+ * client acks one, so a lost snapshot cannot leave deltas built on a frame it
+ * never had. Clients that never ack are taken to apply every frame they are
+ * sent and get a full snapshot every FULL_SNAPSHOT_INTERVAL_NET_TICKS. Deltas
+ * are built once per distinct baseline.
+ */
+function sendStateFrames(receivers, history, networkTick, payloadBase, networkState) {
+  let snapshotFrame = null;
+  const deltas = new Map(); // baseline tick -> { delta, frame, recipients }
+  for (const receiver of receivers) {
+    const base = receiver.baseTick === null ? undefined : history.get(receiver.baseTick);
+    const periodic = !receiver.acks && networkTick % FULL_SNAPSHOT_INTERVAL_NET_TICKS === 0;
+    if (!base || periodic) {
+      snapshotFrame = snapshotFrame || stateFrame('state_snapshot', { ...payloadBase, full_state: networkState }, networkState);
+      if (!sendRaw(receiver.ws, snapshotFrame(receiver.wire), 'state_snapshot')) continue;
+      metrics.snapshots.inc({ reason: receiver.baseTick === null ? 'no_baseline' : base ? 'periodic' : 'baseline_expired' });
+      receiver.baseTick = receiver.acks ? null : networkTick;
+      continue;
+    }
+
+    let entry = deltas.get(receiver.baseTick);
+    if (!entry) {
+      const delta = buildDelta(base, networkState);
+      const frame = stateFrame('state_delta', {
+        ...payloadBase,
+        base_network_tick: receiver.baseTick,
+        changed_entities: delta.changed_entities,
+        removed_entities: delta.removed_entities,
+      }, networkState);
+      entry = { delta, frame, recipients: 0 };
+      deltas.set(receiver.baseTick, entry);
+    }
+    if (sendRaw(receiver.ws, entry.frame(receiver.wire), 'state_delta')) {
+      entry.recipients += 1;
+      if (!receiver.acks) receiver.baseTick = networkTick;
+    } else if (!receiver.acks) {
+      receiver.baseTick = null;
+    }
+  }
+  for (const { delta, recipients } of deltas.values()) recordDeltaBytes(delta.bytes, recipients);
+
+  history.set(networkTick, networkState);
+  for (const tick of history.keys()) {
+    if (history.size <= STATE_HISTORY_NET_TICKS) break;
+    history.delete(tick);
   }
 }
 
+/**
+ * One state frame, encoded on first use per wire format (JSON text or
+ * server/wire.js binary) and shared by every session that uses that format.
+ */
+function stateFrame(type, payload, networkState) {
+  let json = null;
+  let binary = null;
+  return (wire) => {
+    if (wire === Wire.WIRE_BINARY) return (binary = binary || Wire.encodeStateFrame(type, payload, networkState));
+    return (json = json || JSON.stringify({ type, payload }));
+  };
+}
+
+function neutralInput() {
+  return { turn: 0, thrust: 0, fire: false, fire_pressed: false, lag_comp_ms: 0 };
+}
+
 function toNetworkState(state) {
   if (!state) return null;
+  const q = Wire.quantize; // the binary wire's precision, so JSON frames carry the same numbers
   const players = {};
   for (const [pid, p] of Object.entries(state.players || {})) {
     players[pid] = {
       id: String(p.id || pid),
-      x: Number(p.x || 0),
-      y: Number(p.y || 0),
-      vx: Number(p.vx || 0),
-      vy: Number(p.vy || 0),
-      angle: Number(p.angle || 0),
-      hp: Number(p.hp || 0),
-      shield: Number(p.shield || 0),
-      weaponLevel: Number(p.weaponLevel || 1),
+      slot: Number(p.slot || 0),
+      x: q(p.x),
+      y: q(p.y),
+      vx: q(p.vx),
+      vy: q(p.vy),
+      angle: q(p.angle),
+      hp: q(p.hp),
+      shield: q(p.shield),
+      weaponLevel: q(p.weaponLevel || 1),
       alive: Boolean(p.alive),
+      frozen: Boolean(p.frozen),
+      teamId: p.teamId ?? null,
       specialWeapon: p.specialWeapon || null,
-      specialUses: Number(p.specialUses || 0),
-      laserActiveMs: Number(p.laserActiveMs || 0),
+      specialUses: q(p.specialUses),
+      laserActiveMs: q(p.laserActiveMs),
     };
   }
   return {
     phase: String(state.phase || 'playing'),
     tick: Number(state.tick || 0),
-    remainingMs: Number(state.remainingMs || 0),
+    remainingMs: q(state.remainingMs),
     players,
     projectiles: (state.projectiles || []).map((x) => ({
       id: String(x.id || ''),
       ownerId: String(x.ownerId || ''),
-      x: Number(x.x || 0),
-      y: Number(x.y || 0),
-      vx: Number(x.vx || 0),
-      vy: Number(x.vy || 0),
-      ttlMs: Number(x.ttlMs || 0),
+      x: q(x.x),
+      y: q(x.y),
+      vx: q(x.vx),
+      vy: q(x.vy),
+      ttlMs: q(x.ttlMs),
       fireSeq: Number.isFinite(Number(x.fireSeq)) ? Number(x.fireSeq) : undefined,
       isBomb: Boolean(x.isBomb),
     })),
     pickups: (state.pickups || []).map((x) => ({
       id: String(x.id || ''),
-      x: Number(x.x || 0),
-      y: Number(x.y || 0),
+      x: q(x.x),
+      y: q(x.y),
       type: String(x.type || ''),
     })),
     effects: (state.effects || []).map((x) => ({
+      id: String(x.id || ''),
       type: String(x.type || ''),
-      x: Number(x.x || 0),
-      y: Number(x.y || 0),
-      radius: Number(x.radius || 0),
+      x: q(x.x),
+      y: q(x.y),
+      radius: q(x.radius),
       ownerId: String(x.ownerId || ''),
-      ttlMs: Number(x.ttlMs || 0),
+      ttlMs: q(x.ttlMs),
     })),
   };
 }
 
 function buildFinalStats(state) {
   if (!state?.players) return {};
+  const ranking = state.ranking || [];
   const out = {};
   for (const [pid, p] of Object.entries(state.players)) {
-    out[pid] = p.stats || {};
+    const placement = ranking.indexOf(pid) + 1;
+    out[pid] = { ...(p.stats || {}), placement: placement > 0 ? placement : null };
+    if (state.mode === 'team') out[pid].team_id = p.teamId;
   }
+  if (state.mode === 'team') out.teams = buildTeamTotals(state);
   return out;
 }
 
+function buildTeamTotals(state) {
+  const teamRanking = state.teamRanking || [];
+  const teams = {};
+  for (const [pid, p] of Object.entries(state.players)) {
+    const teamId = String(p.teamId);
+    if (!teams[teamId]) {
+      const placement = teamRanking.indexOf(p.teamId) + 1;
+      teams[teamId] = {
+        players: [],
+        kills: 0,
+        deaths: 0,
+        damageDealt: 0,
+        pickups: 0,
+        placement: placement > 0 ? placement : null,
+      };
+    }
+    const t = teams[teamId];
+    t.players.push(pid);
+    t.kills += Number(p.stats?.kills || 0);
+    t.deaths += Number(p.stats?.deaths || 0);
+    t.damageDealt += Number(p.stats?.damageDealt || 0);
+    t.pickups += Number(p.stats?.pickups || 0);
+  }
+  return teams;
+}
+
+/**
+ * Room shape from the access token. 'duel' is the classic 1v1; 'ffa' seats
+ * 3-8 ships; 'team' is two teams of team_size (2 or 3). The first player to
+ * join a room fixes its settings.
+ */
+function roomSettingsFromClaims(claims) {
+  const mode = ['ffa', 'team'].includes(claims?.game_mode) ? claims.game_mode : 'duel';
+  const rankBy = claims?.rank_by === 'kills' ? 'kills' : 'survival';
+  const bestOf = Math.floor(Number(claims?.best_of));
+  const base = {
+    mode,
+    rankBy,
+    botDifficulty: Bot.DIFFICULTIES[claims?.bot_difficulty] ? claims.bot_difficulty : DEFAULT_BOT_DIFFICULTY,
+    teamSize: 0,
+    friendlyFire: false,
+    // Odd series lengths only, so a majority always exists.
+    bestOf: bestOf > 1 && bestOf <= MAX_BEST_OF && bestOf % 2 === 1 ? bestOf : 1,
+  };
+  if (mode === 'duel') {
+    return { ...base, minPlayers: MIN_PLAYERS, maxPlayers: MIN_PLAYERS };
+  }
+  if (mode === 'team') {
+    const teamSize = Number(claims?.team_size) === 3 ? 3 : 2;
+    const seats = teamSize * DEFAULT_TEAM_IDS.length;
+    return { ...base, teamSize, friendlyFire: claims?.friendly_fire === true, minPlayers: seats, maxPlayers: seats };
+  }
+  const clampSeats = (v, fallback) => {
+    const n = Math.floor(Number(v));
+    return Number.isFinite(n) ? Math.min(MAX_FFA_PLAYERS, Math.max(3, n)) : fallback;
+  };
+  const minPlayers = clampSeats(claims?.min_players, 3);
+  const maxPlayers = Math.max(minPlayers, clampSeats(claims?.max_players, MAX_FFA_PLAYERS));
+  return { ...base, minPlayers, maxPlayers };
+}
+
 function entityMapById(items) {
   const out = new Map();
   for (const item of items || []) {
@@ -391,22 +1590,36 @@ function entityMapById(items) {
   return out;
 }
 
-function shallowEqualEntity(a, b) {
-  if (a === b) return true;
-  if (!a || !b) return false;
-  const aKeys = Object.keys(a);
-  const bKeys = Object.keys(b);
-  if (aKeys.length !== bKeys.length) return false;
-  for (const key of aKeys) {
-    if (!Object.prototype.hasOwnProperty.call(b, key)) return false;
-    if (a[key] !== b[key]) return false;
+/** The fields of next that differ from prev, or null when none do. */
+function changedFields(prev, next) {
+  let patch = null;
+  for (const [key, value] of Object.entries(next)) {
+    if (prev[key] !== value) (patch = patch || {})[key] = value;
   }
-  return true;
+  return patch;
 }
 
+function jsonBytes(value) {
+  return Buffer.byteLength(JSON.stringify(value));
+}
+
+/**
+ * What changed between two network states. New players and projectiles go in
+ * full; known ones carry only their changed fields (projectiles keep their id).
+ * Effects never change after spawning, so each is sent once and its id listed
+ * in removed_entities.effects when it expires; clients age ttlMs themselves.
+ *
+ * bytes compares, per entity kind, the JSON size of these patches with the
+ * whole-entity patches (and full effect lists) they replace, for metrics.
+ */
 function buildDelta(prevState, nextState) {
   const changed = {};
-  const removed = { projectiles: [], pickups: [] };
+  const removed = { projectiles: [], pickups: [], effects: [] };
+  const bytes = {
+    players: { whole: 0, field: 0 },
+    projectiles: { whole: 0, field: 0 },
+    effects: { whole: 0, field: 0 },
+  };
 
   if (!prevState) {
     return {
@@ -420,6 +1633,7 @@ function buildDelta(prevState, nextState) {
         effects: nextState.effects,
       },
       removed_entities: removed,
+      bytes,
     };
   }
 
@@ -437,9 +1651,12 @@ function buildDelta(prevState, nextState) {
   const prevPlayers = prevState.players || {};
   const nextPlayers = nextState.players || {};
   for (const [pid, p] of Object.entries(nextPlayers)) {
-    if (!prevPlayers[pid] || !shallowEqualEntity(prevPlayers[pid], p)) {
-      playerPatch[pid] = p;
-    }
+    const prev = prevPlayers[pid];
+    const patch = prev ? changedFields(prev, p) : p;
+    if (!patch) continue;
+    playerPatch[pid] = patch;
+    bytes.players.whole += jsonBytes(p);
+    bytes.players.field += jsonBytes(patch);
   }
   if (Object.keys(playerPatch).length > 0) {
     changed.players = playerPatch;
@@ -450,9 +1667,12 @@ function buildDelta(prevState, nextState) {
   const projectilePatch = [];
   for (const [id, pr] of nextProjectiles.entries()) {
     const prev = prevProjectiles.get(id);
-    if (!prev || !shallowEqualEntity(prev, pr)) {
-      projectilePatch.push(pr);
-    }
+    const fields = prev ? changedFields(prev, pr) : pr;
+    if (!fields) continue;
+    const patch = prev ? { id: pr.id, ...fields } : pr;
+    projectilePatch.push(patch);
+    bytes.projectiles.whole += jsonBytes(pr);
+    bytes.projectiles.field += jsonBytes(patch);
   }
   for (const id of prevProjectiles.keys()) {
     if (!nextProjectiles.has(id)) removed.projectiles.push(id);
@@ -466,7 +1686,7 @@ function buildDelta(prevState, nextState) {
   const pickupPatch = [];
   for (const [id, pu] of nextPickups.entries()) {
     const prev = prevPickups.get(id);
-    if (!prev || !shallowEqualEntity(prev, pu)) {
+    if (!prev || changedFields(prev, pu)) {
       pickupPatch.push(pu);
     }
   }
@@ -477,37 +1697,123 @@ function buildDelta(prevState, nextState) {
     changed.pickups = pickupPatch;
   }
 
-  // Effects are always sent in full when present (short-lived visual FX)
-  const nextEffects = nextState.effects || [];
-  if (nextEffects.length > 0) {
-    changed.effects = nextEffects;
+  const prevEffects = entityMapById(prevState.effects || []);
+  const nextEffects = entityMapById(nextState.effects || []);
+  const spawned = [...nextEffects.values()].filter((fx) => !prevEffects.has(String(fx.id)));
+  for (const id of prevEffects.keys()) {
+    if (!nextEffects.has(id)) removed.effects.push(id);
+  }
+  if (spawned.length > 0) {
+    changed.effects = spawned;
   }
+  if (nextEffects.size > 0) bytes.effects.whole += jsonBytes(nextState.effects);
+  if (spawned.length > 0) bytes.effects.field += jsonBytes(spawned);
+  if (removed.effects.length > 0) bytes.effects.field += jsonBytes(removed.effects);
 
   return {
     changed_entities: changed,
     removed_entities: removed,
+    bytes,
   };
 }
 
+/** bytes from buildDelta, counted once per session or spectator the delta went to. */
+function recordDeltaBytes(bytes, recipients) {
+  if (recipients === 0) return;
+  for (const [entity, { whole, field }] of Object.entries(bytes)) {
+    metrics.deltaEntityBytes.inc({ entity, encoding: 'whole_entity' }, whole * recipients);
+    metrics.deltaEntityBytes.inc({ entity, encoding: 'field_level' }, field * recipients);
+  }
+}
+
+/**
+ * Same match, same key: derived from room, session and match index (rematches
+ * in one room get their own), shaped as a UUID like the random keys were.
+ */
+function resultIdempotencyKey(serviceId, roomId, sessionId, matchIndex) {
+  const hex = crypto.createHash('sha256').update(`${serviceId}|${roomId}|${sessionId}|${matchIndex}`).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16)}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
 function hashRoomId(roomId) {
   return parseInt(crypto.createHash('sha256').update(roomId).digest('hex').slice(0, 12), 16);
 }
 
+const PLAYER_ONLY_MESSAGES = new Set(['input', 'forfeit', 'rematch', 'queue_join', 'queue_leave']);
+
 function handleMessage(ws, session, msg) {
   const type = msg?.type;
   const payload = msg?.payload || {};
   const seq = Number(msg?.seq || 0);
 
+  // Spectators are read-only.
+  if (session.role === 'spectator' && PLAYER_ONLY_MESSAGES.has(type)) return;
+
   if (type === 'join') {
+    leaveQueue(session);
+    // A matchmaking seat (or a reconnect to one) wins over the room in the token.
+    const assignedRoomId = matchAssignments.get(session.userId);
+    if (session.role === 'player' && assignedRoomId && rooms.get(assignedRoomId)?.expects(session.userId)) {
+      session.roomId = assignedRoomId;
+    }
+
     let room = rooms.get(session.roomId);
+    // Draining: only players coming back to a match in progress get in.
+    if (draining && !(session.role === 'player' && room?.expects(session.userId))) {
+      sendJson(ws, {
+        type: 'error',
+        payload: { code: 'SERVER_SHUTTING_DOWN', message: 'Server is shutting down; join again to get a new server' },
+      });
+      try { ws.close(); } catch { }
+      return;
+    }
+    if (!room && session.role === 'spectator') {
+      // The room's settings come from its first player's token, never a spectator's.
+      sendJson(ws, {
+        type: 'error',
+        payload: { code: 'ROOM_NOT_FOUND', message: 'No players have joined this room yet; try again once it has started' },
+      });
+      try { ws.close(); } catch { }
+      return;
+    }
     if (!room) {
-      room = new RoomRuntime(session.roomId, session.serviceId);
+      room = new RoomRuntime(session.roomId, session.serviceId, session.roomSettings);
       rooms.set(session.roomId, room);
     }
 
-    room.upsertSession(session.sessionId, session.userId, ws);
+    const wire = Wire.wantsBinary(payload) ? Wire.WIRE_BINARY : Wire.WIRE_JSON;
+    if (session.role === 'spectator') {
+      room.addSpectator(session.sessionId, session.userId, ws, wire);
+      sendJson(ws, {
+        type: 'joined',
+        payload: {
+          room_id: room.roomId,
+          player_id: session.userId,
+          player_ids: room.activePlayers,
+          role: 'spectator',
+          running: room.running && !room.finished,
+          spectator_delay_ms: SPECTATOR_DELAY_MS,
+          wire,
+          waiting_for: Math.max(0, room.minPlayers - room.activePlayers.length),
+          ...room.matchProfile(),
+          ...NET_PROFILE,
+        },
+      });
+      return;
+    }
+
+    if (!room.hasSeatFor(session.userId)) {
+      sendJson(ws, {
+        type: 'error',
+        payload: { code: 'ROOM_FULL', message: `Room has no free seat (max ${room.maxPlayers} players)` },
+      });
+      try { ws.close(); } catch { }
+      return;
+    }
+
+    const { resumed } = room.upsertSession(session.sessionId, session.userId, ws, { teamId: session.teamId, wire });
 
-    const waitingFor = Math.max(0, room.minPlayers - room.connectedUserIds.size);
+    const waitingFor = Math.max(0, room.minPlayers - room.activePlayers.length);
     sendJson(ws, {
       type: 'joined',
       payload: {
@@ -515,27 +1821,111 @@ function handleMessage(ws, session, msg) {
         player_id: session.userId,
         player_ids: room.activePlayers,
         waiting_for: waitingFor,
+        role: 'player',
+        resumed,
+        last_seq: Number(room.lastSeqByUser[session.userId] || 0),
+        wire,
+        ...room.matchProfile(),
         ...NET_PROFILE,
       },
     });
+    if (resumed) return;
 
     room.broadcast('player_joined', {
       room_id: room.roomId,
       player_id: session.userId,
       player_ids: room.activePlayers,
       waiting_for: waitingFor,
+      max_players: room.maxPlayers,
     });
 
     room.maybeStart();
     return;
   }
 
+  if (type === 'queue_join') {
+    if (draining) {
+      sendJson(ws, { type: 'error', payload: { code: 'SERVER_SHUTTING_DOWN', message: 'Server is shutting down' } });
+      return;
+    }
+    if (rooms.get(session.roomId)?.sessions.has(session.sessionId)) {
+      sendJson(ws, { type: 'error', payload: { code: 'ALREADY_IN_ROOM', message: 'Leave the room before queueing' } });
+      return;
+    }
+    Matchmaking.enqueue(matchQueue, {
+      userId: session.userId,
+      sessionId: session.sessionId,
+      serviceId: session.serviceId,
+      settings: session.roomSettings,
+      rating: session.rating,
+      region: String(payload.region || session.region || DEPLOY_REGION),
+      joinedAt: Date.now(),
+    });
+    queuedClients.set(session.userId, { ws, session });
+    sendQueueStatus(session.userId, Date.now());
+    return;
+  }
+
+  if (type === 'queue_leave') {
+    if (leaveQueue(session)) sendJson(ws, { type: 'queue_status', payload: { state: 'left' } });
+    return;
+  }
+
   if (type === 'input') {
     const room = rooms.get(session.roomId);
-    if (!room) return;
+    if (!room) {
+      metrics.inputs.inc({ result: 'rejected', reason: 'NO_ROOM' });
+      return;
+    }
 
     const inputPayload = payload?.action_data || payload || {};
-    room.enqueueInput(session.userId, seq, inputPayload);
+    const { accepted, reason } = room.enqueueInput(session.userId, seq, inputPayload);
+    metrics.inputs.inc({ result: accepted ? 'accepted' : 'rejected', reason: accepted ? '' : reason });
+    return;
+  }
+
+  if (type === 'forfeit') {
+    const room = rooms.get(session.roomId);
+    if (!room) return;
+    room.forfeit(session.userId);
+    return;
+  }
+
+  if (type === 'rematch') {
+    const room = rooms.get(session.roomId);
+    if (!room) return;
+    room.requestRematch(session.userId);
+    return;
+  }
+
+  if (type === 'server_pong') {
+    rooms.get(session.roomId)?.serverPong(session.sessionId, Number(payload.id));
+    return;
+  }
+
+  if (type === 'state_ack') {
+    rooms.get(session.roomId)?.ackState(session.sessionId, Number(payload.network_tick));
+    return;
+  }
+
+  if (type === 'time_sync') {
+    // NTP-style: t1 on receipt, t2 just before sending. While the loop runs,
+    // the tick last simulated and when let the client place ticks on its clock.
+    const receivedAt = Date.now();
+    const room = rooms.get(session.roomId);
+    const ticking = room?.running && !room.finished && room.lastStepAt != null;
+    sendJson(ws, {
+      type: 'time_sync',
+      payload: {
+        id: payload.id,
+        t0: payload.t0,
+        t1: receivedAt,
+        ...(ticking ? { server_tick: room.serverTick, tick_at: room.lastStepAt } : {}),
+        tick_ms: SIM_STEP_MS,
+        net_ms: 1000 / NETWORK_HZ,
+        t2: Date.now(),
+      },
+    });
     return;
   }
 
@@ -554,20 +1944,148 @@ function handleMessage(ws, session, msg) {
   }
 
   if (type === 'leave') {
+    leaveQueue(session);
     const room = rooms.get(session.roomId);
-    if (room) {
-      room.removeSession(session.sessionId);
-      room.broadcast('player_left', {
-        room_id: room.roomId,
-        player_id: session.userId,
+    if (room) removeFromRoom(room, session, { allowReconnect: false });
+    try { ws.close(); } catch { }
+  }
+}
+
+/** Returns true when the session was queued. */
+function leaveQueue(session) {
+  if (queuedClients.get(session.userId)?.session !== session) return false;
+  queuedClients.delete(session.userId);
+  Matchmaking.dequeue(matchQueue, session.userId);
+  return true;
+}
+
+function sendQueueStatus(userId, now) {
+  const client = queuedClients.get(userId);
+  const status = Matchmaking.status(matchQueue, userId, now);
+  if (client && status) sendJson(client.ws, { type: 'queue_status', payload: status });
+}
+
+/**
+ * Matchmaking pass: reserve a room for every group that can be made, point
+ * each member's session at it and tell them; everyone else gets a status.
+ */
+function runMatchmaking() {
+  const now = Date.now();
+  for (const match of Matchmaking.findMatches(matchQueue, now)) {
+    const roomId = `mm-${crypto.randomUUID()}`;
+    const userIds = match.entries.map((e) => e.userId);
+    const room = new RoomRuntime(roomId, match.serviceId, match.settings);
+    const teams = match.settings.mode === 'team' ? Matchmaking.splitTeams(match.entries, DEFAULT_TEAM_IDS) : {};
+    room.reserve(userIds, teams);
+    rooms.set(roomId, room);
+
+    for (const entry of match.entries) {
+      matchAssignments.set(entry.userId, roomId);
+      const client = queuedClients.get(entry.userId);
+      queuedClients.delete(entry.userId);
+      if (!client) continue;
+      client.session.roomId = roomId;
+      sendJson(client.ws, {
+        type: 'match_found',
+        payload: {
+          room_id: roomId,
+          player_ids: userIds,
+          ratings: Object.fromEntries(match.entries.map((e) => [e.userId, e.rating])),
+          regions: Object.fromEntries(match.entries.map((e) => [e.userId, e.region])),
+          waited_ms: now - entry.joinedAt,
+          reserve_ms: MM_RESERVE_MS,
+          ...room.matchProfile(),
+        },
       });
     }
-    try { ws.close(); } catch { }
+    console.log(`[MATCHMAKING] room=${roomId} mode=${match.settings.mode} players=${userIds.join(',')}`);
+  }
+  for (const userId of queuedClients.keys()) sendQueueStatus(userId, now);
+}
+
+/**
+ * SIGTERM/SIGINT: stop taking players, let running matches finish for up to
+ * SHUTDOWN_DRAIN_MS, end the rest with reason server_shutdown, then give the
+ * result outbox SHUTDOWN_FLUSH_MS to deliver before exiting. Anything still
+ * undelivered stays in OUTBOX_DIR for the next start. A second signal exits
+ * at once.
+ */
+async function shutdown(signal, { server, wss, matchmakingTimer }) {
+  if (draining) {
+    console.warn(`[SHUTDOWN] ${signal} again, exiting now`);
+    process.exit(1);
+  }
+  const deadline = Date.now() + SHUTDOWN_DRAIN_MS;
+  draining = { deadline };
+  health.setDraining();
+  clearInterval(matchmakingTimer);
+  const running = () => [...rooms.values()].filter((room) => room.running && !room.finished);
+  console.log(`[SHUTDOWN] ${signal}: draining ${running().length} running match(es), deadline in ${SHUTDOWN_DRAIN_MS}ms`);
+
+  for (const [userId, { ws }] of queuedClients) {
+    Matchmaking.dequeue(matchQueue, userId);
+    sendJson(ws, { type: 'server_shutdown', payload: { reason: 'server_shutdown', match_continues: false, deadline_ts: deadline } });
+  }
+  queuedClients.clear();
+  for (const room of rooms.values()) room.announceShutdown(deadline);
+
+  while (running().length > 0 && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, Math.min(250, deadline - Date.now())));
+  }
+  for (const room of running()) {
+    const result = room.forceEnd('server_shutdown');
+    console.log(`[SHUTDOWN] ended room=${room.roomId} ok=${result.ok}`);
+  }
+
+  await Promise.allSettled([...settlingResults]);
+  const undelivered = await resultOutbox.flush(SHUTDOWN_FLUSH_MS);
+  resultOutbox.stop();
+  if (undelivered > 0) console.warn(`[SHUTDOWN] ${undelivered} result(s) left in ${OUTBOX_DIR} for the next start`);
+
+  for (const client of wss.clients) {
+    try { client.close(1001, 'server_shutdown'); } catch { }
+  }
+  server.close();
+  console.log('[SHUTDOWN] done');
+  process.exit(0);
+}
+
+function removeFromRoom(room, session, options) {
+  if (session.role === 'spectator') {
+    room.removeSpectator(session.sessionId);
+  } else {
+    room.removeSession(session.sessionId, options);
   }
 }
 
-app.prepare().then(() => {
+app.prepare().then(async () => {
+  const devStack = DEV_STACK
+    ? await createDevStack({ serviceId: SERVICE_ID, signingKeyId: SIGNING_KEY_ID, signingSecret: SIGNING_SECRET })
+    : null;
+  await resultOutbox.start();
+  for (const data of (await checkpoints?.loadAll()) || []) {
+    const room = RoomRuntime.fromCheckpoint(data);
+    rooms.set(room.roomId, room);
+    console.log(
+      `[CHECKPOINT] restored room=${room.roomId} tick=${room.serverTick} waiting for ${room.reconnectTimers.size} player(s)`
+    );
+    // Nobody to wait for (all of them had already left): settle it now.
+    if (room.reconnectTimers.size === 0) {
+      room.forceEnd('player_disconnected');
+      room.dispose();
+    }
+  }
+  const adminApi = ADMIN_TOKEN ? createAdminApi({ token: ADMIN_TOKEN, rooms, outbox: resultOutbox }) : null;
+
   const server = createServer((req, res) => {
+    if (devStack?.handle(req, res)) return;
+    if (adminApi?.(req, res)) return;
+    if (health.handle(req, res)) return;
+    if (req.method === 'GET' && req.url === '/metrics') {
+      res.writeHead(200, { 'Content-Type': Metrics.CONTENT_TYPE });
+      res.end(Metrics.render());
+      return;
+    }
     const parsedUrl = parse(req.url, true);
     handle(req, res, parsedUrl);
   });
@@ -598,6 +2116,11 @@ app.prepare().then(() => {
       roomId: null,
       sessionId: null,
       serviceId: null,
+      role: null,
+      roomSettings: null,
+      teamId: null,
+      rating: DEFAULT_RATING,
+      region: null,
     };
 
     let authComplete = false;
@@ -617,14 +2140,11 @@ app.prepare().then(() => {
     });
 
     ws.on('close', () => {
+      leaveQueue(session);
       if (!session.roomId || !session.sessionId) return;
       const room = rooms.get(session.roomId);
       if (!room) return;
-      room.removeSession(session.sessionId);
-      room.broadcast('player_left', {
-        room_id: room.roomId,
-        player_id: session.userId,
-      });
+      removeFromRoom(room, session, { allowReconnect: true });
     });
 
     ws.on('error', (err) => {
@@ -632,6 +2152,7 @@ app.prepare().then(() => {
     });
 
     if (!token) {
+      metrics.authFailures.inc({ reason: 'no_token' });
       sendJson(ws, { type: 'error', payload: { code: 'NO_TOKEN', message: 'Missing access token' } });
       try { ws.close(); } catch { }
       return;
@@ -640,12 +2161,18 @@ app.prepare().then(() => {
     validateAccessToken(token, {
       jwksUrl: JWKS_URL,
       expectedServiceId: SERVICE_ID,
+      allowedPermissions: ['play', 'spectate'],
     })
       .then((payload) => {
+        session.role = payload.permissions.includes('play') ? 'player' : 'spectator';
         session.userId = payload.sub;
         session.roomId = payload.room_id;
         session.sessionId = payload.session_id;
         session.serviceId = payload.service_id || null;
+        session.roomSettings = roomSettingsFromClaims(payload);
+        session.teamId = payload.team_id != null ? String(payload.team_id) : null;
+        session.rating = Number.isFinite(Number(payload.rating)) ? Number(payload.rating) : DEFAULT_RATING;
+        session.region = payload.region ? String(payload.region) : null;
         authComplete = true;
 
         if (ws.readyState !== 1) return;
@@ -654,17 +2181,32 @@ app.prepare().then(() => {
       })
       .catch((err) => {
         console.error('[WS] auth_failed', err?.message || err);
+        metrics.authFailures.inc({ reason: 'invalid_token' });
         sendJson(ws, { type: 'error', payload: { code: 'INVALID_TOKEN', message: err?.message || 'Invalid token' } });
         try { ws.close(); } catch { }
       });
   });
 
+  const matchmakingTimer = setInterval(runMatchmaking, MM_TICK_MS);
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => {
+      shutdown(signal, { server, wss, matchmakingTimer }).catch((err) => {
+        console.error('[SHUTDOWN] failed', err?.message || err);
+        process.exit(1);
+      });
+    });
+  }
+
   server.listen(PORT, (err) => {
     if (err) throw err;
+    health.start();
     console.log(`> Ready on http://localhost:${PORT}`);
     console.log(`[GAME] region=${DEPLOY_REGION}`);
+    if (process.env.DEV_STACK === '1' && !dev) console.warn('[DEV_STACK] ignored: NODE_ENV is production');
+    if (DEV_STACK) console.log(`[DEV_STACK] issuer and results receiver at ${API_URL} - open http://localhost:${PORT}/?dev=1`);
     console.log(
-      `[GAME] sim=${SIM_TICK_HZ}Hz net=${NETWORK_HZ}Hz full_snapshot_every=${FULL_SNAPSHOT_INTERVAL_NET_TICKS} net_ticks`
+      `[GAME] sim=${SIM_TICK_HZ}Hz net=${NETWORK_HZ}Hz state_history=${STATE_HISTORY_NET_TICKS} net_ticks ` +
+        `full_snapshot_every=${FULL_SNAPSHOT_INTERVAL_NET_TICKS} net_ticks (clients without state_ack)`
     );
   });
 });
@@ -0,0 +1,94 @@
+/**
+ * Admin API - operator routes for a running server
+ *
+ * Mounted under /admin when ADMIN_TOKEN is set; every request needs
+ * "Authorization: Bearer <ADMIN_TOKEN>".
+ *
+ *   GET  /admin/rooms                       every room: players, tick, phase, time left
+ *   GET  /admin/rooms/:roomId               one room plus its current network state
+ *   POST /admin/rooms/:roomId/kick          { session_id } or { user_id }
+ *   POST /admin/rooms/:roomId/end           { reason, winner_ids? } - ends through the normal result path
+ *   POST /admin/rooms/:roomId/notice        { message, level? } - server_notice to everyone in the room
+ *   GET  /admin/outbox                      undelivered results (see server/outbox.js)
+ *   POST /admin/outbox/:key/retry           requeue a dead letter
+ *
+ * Rooms do the work (describe/inspect/kick/forceEnd/notice on RoomRuntime);
+ * this module only routes and checks the token.
+ */
+import crypto from 'crypto';
+import { createRouter, httpError, parseJson } from './http.js';
+
+const NOTICE_LEVELS = ['info', 'warning', 'critical'];
+const MAX_NOTICE_LENGTH = 500;
+const REASON_PATTERN = /^[a-z0-9_]{1,64}$/;
+
+export function createAdminApi({ token, rooms, outbox, prefix = '/admin' }) {
+  const expectedDigest = digest(token);
+
+  const getRoom = (match) => {
+    const room = rooms.get(decodeURIComponent(match[1]));
+    if (!room) throw httpError(404, 'room_not_found');
+    return room;
+  };
+
+  const routes = [
+    ['GET', /^\/rooms$/, () => ({ rooms: [...rooms.values()].map((room) => room.describe()) })],
+
+    ['GET', /^\/rooms\/([^/]+)$/, ({ match }) => getRoom(match).inspect()],
+
+    ['POST', /^\/rooms\/([^/]+)\/kick$/, ({ match, body }) => {
+      const room = getRoom(match);
+      const { session_id: sessionId, user_id: userId } = parseJson(body);
+      if (!sessionId && !userId) throw httpError(400, 'session_id or user_id is required');
+      const kicked = room.kick({ sessionId, userId });
+      if (kicked.length === 0) throw httpError(404, 'session_not_found');
+      return { kicked };
+    }],
+
+    ['POST', /^\/rooms\/([^/]+)\/end$/, ({ match, body }) => {
+      const room = getRoom(match);
+      const { reason = 'admin_ended', winner_ids: winnerIds = [] } = parseJson(body);
+      if (!REASON_PATTERN.test(String(reason))) throw httpError(400, 'reason must match [a-z0-9_]{1,64}');
+      if (!Array.isArray(winnerIds)) throw httpError(400, 'winner_ids must be an array');
+      const result = room.forceEnd(String(reason), winnerIds.map(String));
+      if (!result.ok) throw httpError(409, result.error);
+      return result;
+    }],
+
+    ['POST', /^\/rooms\/([^/]+)\/notice$/, ({ match, body }) => {
+      const room = getRoom(match);
+      const { message, level = 'info' } = parseJson(body);
+      if (!message || String(message).length > MAX_NOTICE_LENGTH) {
+        throw httpError(400, `message is required (max ${MAX_NOTICE_LENGTH} chars)`);
+      }
+      if (!NOTICE_LEVELS.includes(level)) throw httpError(400, `level must be one of ${NOTICE_LEVELS.join(', ')}`);
+      const recipients = room.notice(String(message), level);
+      return { ok: true, recipients };
+    }],
+
+    ['GET', /^\/outbox$/, async () => ({ ...outbox.stats(), dead: await outbox.listDead() })],
+
+    ['POST', /^\/outbox\/([^/]+)\/retry$/, async ({ match }) => {
+      try {
+        const entry = await outbox.retryDead(decodeURIComponent(match[1]));
+        return { ok: true, key: entry.key };
+      } catch (err) {
+        if (err.code === 'ENOENT') throw httpError(404, 'dead_letter_not_found');
+        throw err;
+      }
+    }],
+  ];
+
+  const authorize = (req) => {
+    const auth = String(req.headers.authorization || '');
+    const given = auth.startsWith('Bearer ') ? auth.slice(7) : '';
+    if (!given || !crypto.timingSafeEqual(digest(given), expectedDigest)) throw httpError(401, 'unauthorized');
+  };
+
+  return createRouter(prefix, routes, { tag: 'ADMIN', before: authorize });
+}
+
+/** Fixed-length digests so the comparison is constant time whatever the input length. */
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
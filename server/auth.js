@@ -45,6 +45,7 @@ export async function validateAccessToken(token, {
   expectedAudiencePrefix = 'usion-game-service:',
   expectedServiceId = null,
   expectedRoomId = null,
+  allowedPermissions = ['play'],
 }) {
   let tokenServiceId = null;
   try {
@@ -103,8 +104,9 @@ export async function validateAccessToken(token, {
       throw new Error(`Token room_id mismatch: ${payload.room_id} != ${expectedRoomId}`);
     }
 
-    if (!payload.permissions || !payload.permissions.includes('play')) {
-      throw new Error("Token missing 'play' permission");
+    const permissions = Array.isArray(payload.permissions) ? payload.permissions : [];
+    if (!allowedPermissions.some((perm) => permissions.includes(perm))) {
+      throw new Error(`Token missing '${allowedPermissions.join("' or '")}' permission`);
     }
 
     if (!payload.session_id) {
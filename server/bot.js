@@ -0,0 +1,227 @@
+/**
+ * Space Craft Bot - server-side AI pilot
+ *
+ * A bot reads the authoritative state and produces the same input payload a
+ * client sends ({ turn, thrust, fire, fire_pressed, fire_seq, lag_comp_ms }),
+ * which the room applies through Game.applyInput like any other player's.
+ *
+ * Behaviour: chase the nearest enemy to a preferred range, lead shots using
+ * projectileSpeed, back off when hurt, detour for pickups when unarmed, and
+ * use laser/bomb/nova only in the range where they pay off. Difficulty sets
+ * reaction time, aim error and how much of that it does.
+ */
+import { CONFIG } from './game.js';
+
+export const DIFFICULTIES = {
+  easy: { reactionTicks: 18, aimErrorRad: 0.35, fireToleranceRad: 0.3, leadShots: false, usesSpecials: false, retreatHp: 0 },
+  normal: { reactionTicks: 8, aimErrorRad: 0.14, fireToleranceRad: 0.18, leadShots: true, usesSpecials: true, retreatHp: 25 },
+  hard: { reactionTicks: 3, aimErrorRad: 0.04, fireToleranceRad: 0.1, leadShots: true, usesSpecials: true, retreatHp: 40 },
+};
+
+const PREFERRED_RANGE = 24;
+const CLOSE_RANGE = 12;
+const WALL_MARGIN = 8;
+const PICKUP_DETOUR_RANGE = 30;
+const TICK_SEC = 1 / 60;
+
+/** saved: what save() returned, to carry a bot on where it left off (room checkpoints). */
+export function createBot(botId, { difficulty = 'normal', seed = 1, saved = null } = {}) {
+  const level = DIFFICULTIES[difficulty] ? difficulty : 'normal';
+  const profile = DIFFICULTIES[level];
+  const random = { rng: saved ? Number(saved.rng) >>> 0 : (Number(seed) >>> 0) || 1 };
+  let ticksUntilDecision = saved ? Number(saved.ticks_until_decision || 0) : 0;
+  let fireSeq = saved ? Number(saved.fire_seq || 0) : 0;
+
+  return {
+    id: botId,
+    difficulty: level,
+
+    /**
+     * Called every server step. Returns a new input payload when the bot makes
+     * a decision, or null to keep the previous one.
+     */
+    think(state) {
+      if (ticksUntilDecision > 0) {
+        ticksUntilDecision -= 1;
+        return null;
+      }
+      ticksUntilDecision = profile.reactionTicks - 1;
+
+      const me = state.players[botId];
+      if (!me || !me.alive || me.frozen) return idleInput();
+
+      const decision = decide(state, me, profile, random);
+      if (decision.firePressed) fireSeq += 1;
+      return {
+        turn: decision.turn,
+        thrust: decision.thrust,
+        fire: decision.fireHeld,
+        fire_pressed: decision.firePressed,
+        fire_seq: decision.firePressed ? fireSeq : undefined,
+        lag_comp_ms: 0,
+      };
+    },
+
+    save() {
+      return { id: botId, difficulty: level, rng: random.rng, ticks_until_decision: ticksUntilDecision, fire_seq: fireSeq };
+    },
+  };
+}
+
+function decide(state, me, profile, random) {
+  const target = nearestEnemy(state, me);
+  const pickup = !me.specialWeapon ? nearestPickup(state, me) : null;
+  const reactionSec = profile.reactionTicks * TICK_SEC;
+
+  let goal = null; // where to fly
+  let shot = null; // where a shot at the target should go
+  let aim = null; // where to point the nose
+  let thrust = 0;
+
+  if (target) {
+    const dist = Math.hypot(target.x - me.x, target.y - me.y);
+    shot = profile.leadShots && me.specialWeapon !== 'laser' && me.specialWeapon !== 'nova'
+      ? leadPoint(me, target, me.specialWeapon === 'bomb' ? CONFIG.bombSpeed : CONFIG.projectileSpeed)
+      : { x: target.x, y: target.y };
+    aim = shot;
+
+    const hurt = profile.retreatHp > 0 && me.hp <= profile.retreatHp && dist < PREFERRED_RANGE;
+    if (hurt || dist < CLOSE_RANGE) {
+      thrust = -0.8; // keep facing them but back away
+    } else if (dist > PREFERRED_RANGE) {
+      thrust = 1;
+    } else {
+      thrust = 0.3;
+    }
+    if (me.specialWeapon === 'nova' && profile.usesSpecials) {
+      thrust = dist > CONFIG.novaRadius * 0.7 ? 1 : 0; // nova wants them close
+    }
+  }
+
+  if (pickup && (!target || pickup.dist < Math.min(PICKUP_DETOUR_RANGE, distanceTo(me, target)))) {
+    goal = pickup;
+  }
+
+  if (goal) {
+    aim = goal;
+    thrust = 1;
+  }
+
+  // Steer off the walls before anything else.
+  if (nearWall(state, me)) {
+    aim = { x: state.arena.width / 2, y: state.arena.height / 2 };
+    thrust = 1;
+  }
+
+  if (!aim) return { turn: 0, thrust: 0, fireHeld: false, firePressed: false };
+
+  const errorRad = (nextRandom(random) * 2 - 1) * profile.aimErrorRad;
+  const desired = Math.atan2(aim.y - me.y, aim.x - me.x) + errorRad;
+  const diff = angleDiff(desired, me.angle);
+  // Reach the desired heading over one reaction interval instead of overshooting.
+  const turn = Math.max(-1, Math.min(1, diff / (CONFIG.turnRate * reactionSec)));
+
+  const shotDiff = shot ? angleDiff(Math.atan2(shot.y - me.y, shot.x - me.x), me.angle) : Infinity;
+  const fire = target ? fireDecision(me, target, shotDiff, profile) : { held: false, pressed: false };
+  return { turn, thrust, fireHeld: fire.held, firePressed: fire.pressed };
+}
+
+function fireDecision(me, target, aimDiff, profile) {
+  const dist = distanceTo(me, target);
+  const aligned = Math.abs(aimDiff) <= profile.fireToleranceRad;
+  const weapon = profile.usesSpecials && me.specialUses > 0 ? me.specialWeapon : null;
+
+  switch (weapon) {
+    case 'laser':
+      return { held: aligned && dist <= CONFIG.laserRangeUnits * 0.9, pressed: false };
+    case 'nova':
+      return { held: false, pressed: dist <= CONFIG.novaRadius * 0.8 };
+    case 'bomb':
+      // Not point-blank: the blast would catch us too.
+      return { held: false, pressed: aligned && dist > CONFIG.bombRadius * 1.5 && dist < CONFIG.bombSpeed * (CONFIG.bombTtlMs / 1000) };
+    default: {
+      const range = CONFIG.projectileSpeed * (CONFIG.projectileTtlMs / 1000);
+      // Bots that skip specials fire whatever they hold like the main gun.
+      return { held: false, pressed: aligned && dist <= range * 0.85 };
+    }
+  }
+}
+
+/**
+ * Where to aim so a shot at `speed` meets the target, assuming it keeps its
+ * velocity. Falls back to the target's position when there is no solution.
+ */
+function leadPoint(me, target, speed) {
+  const rx = target.x - me.x;
+  const ry = target.y - me.y;
+  const a = target.vx * target.vx + target.vy * target.vy - speed * speed;
+  const b = 2 * (rx * target.vx + ry * target.vy);
+  const c = rx * rx + ry * ry;
+  let t = -1;
+  if (Math.abs(a) < 1e-6) {
+    t = b !== 0 ? -c / b : -1;
+  } else {
+    const disc = b * b - 4 * a * c;
+    if (disc >= 0) {
+      const sq = Math.sqrt(disc);
+      const t1 = (-b - sq) / (2 * a);
+      const t2 = (-b + sq) / (2 * a);
+      t = Math.min(t1, t2) > 0 ? Math.min(t1, t2) : Math.max(t1, t2);
+    }
+  }
+  if (!(t > 0)) return { x: target.x, y: target.y };
+  return { x: target.x + target.vx * t, y: target.y + target.vy * t };
+}
+
+function nearestEnemy(state, me) {
+  let best = null;
+  let bestDist = Infinity;
+  for (const p of Object.values(state.players)) {
+    if (p.id === me.id || !p.alive || p.frozen) continue;
+    if (me.teamId !== null && me.teamId !== undefined && p.teamId === me.teamId) continue;
+    const d = distanceTo(me, p);
+    if (d < bestDist) {
+      best = p;
+      bestDist = d;
+    }
+  }
+  return best;
+}
+
+function nearestPickup(state, me) {
+  let best = null;
+  for (const pu of state.pickups || []) {
+    const d = distanceTo(me, pu);
+    if (!best || d < best.dist) best = { x: pu.x, y: pu.y, dist: d };
+  }
+  return best;
+}
+
+function nearWall(state, me) {
+  return me.x < WALL_MARGIN || me.y < WALL_MARGIN ||
+    me.x > state.arena.width - WALL_MARGIN || me.y > state.arena.height - WALL_MARGIN;
+}
+
+function distanceTo(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+function angleDiff(a, b) {
+  let d = (a - b) % (Math.PI * 2);
+  if (d > Math.PI) d -= Math.PI * 2;
+  if (d < -Math.PI) d += Math.PI * 2;
+  return d;
+}
+
+function idleInput() {
+  return { turn: 0, thrust: 0, fire: false, fire_pressed: false, lag_comp_ms: 0 };
+}
+
+/** mulberry32, same generator as the simulation uses. */
+function nextRandom(holder) {
+  holder.rng = (holder.rng + 0x6D2B79F5) >>> 0;
+  let t = holder.rng;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
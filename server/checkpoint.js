@@ -0,0 +1,100 @@
+/**
+ * Room Checkpoints - crash and restart recovery for matches in progress
+ *
+ * While a match runs, RoomRuntime saves <dir>/<roomId>.json every few
+ * seconds: the Game state, seq/ack tables, sticky inputs, teams, series and
+ * bots (see RoomRuntime.checkpoint). The file goes away when the match ends or
+ * the room is disposed, so whatever is left at start belongs to a process that
+ * died mid-match. server.js rebuilds those rooms before it starts listening
+ * and holds every player's seat in the reconnect grace window.
+ *
+ * Checkpoints older than maxAgeMs, unreadable or from another version are
+ * deleted instead of restored.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+
+export const CHECKPOINT_VERSION = 1;
+
+export function createCheckpointStore({ dir, maxAgeMs }) {
+  const writes = new Map(); // roomId -> { next: json | null, removed } while a write is in flight
+
+  async function drain(roomId, slot) {
+    const file = checkpointFile(dir, roomId);
+    while (slot.next) {
+      const json = slot.next;
+      slot.next = null;
+      try {
+        await writeAtomic(file, json);
+      } catch (err) {
+        console.error('[CHECKPOINT] write failed', roomId, err?.message || err);
+      }
+    }
+    if (slot.removed) await fs.rm(file, { force: true }).catch(() => {});
+    writes.delete(roomId);
+  }
+
+  return {
+    /**
+     * Serialised at once (the state keeps changing); written in the
+     * background. Saves that arrive mid-write collapse into the latest one.
+     */
+    save(roomId, data) {
+      const json = JSON.stringify({ v: CHECKPOINT_VERSION, saved_at: Date.now(), room_id: roomId, ...data });
+      const inFlight = writes.get(roomId);
+      if (inFlight) {
+        inFlight.next = json;
+        inFlight.removed = false;
+        return;
+      }
+      const slot = { next: json, removed: false };
+      writes.set(roomId, slot);
+      drain(roomId, slot);
+    },
+
+    remove(roomId) {
+      const inFlight = writes.get(roomId);
+      if (inFlight) {
+        inFlight.next = null;
+        inFlight.removed = true;
+        return;
+      }
+      fs.rm(checkpointFile(dir, roomId), { force: true }).catch((err) => {
+        console.error('[CHECKPOINT] remove failed', roomId, err?.message || err);
+      });
+    },
+
+    /** Checkpoints fit to restore, oldest first; stale ones are deleted. */
+    async loadAll() {
+      await fs.mkdir(dir, { recursive: true });
+      const names = (await fs.readdir(dir)).filter((name) => name.endsWith('.json'));
+      const out = [];
+      for (const name of names) {
+        const file = path.join(dir, name);
+        try {
+          const data = JSON.parse(await fs.readFile(file, 'utf-8'));
+          if (data.v !== CHECKPOINT_VERSION) throw new Error(`version ${data.v}`);
+          const ageMs = Date.now() - Number(data.saved_at || 0);
+          if (ageMs > maxAgeMs) throw new Error(`stale (${Math.round(ageMs / 1000)}s old)`);
+          out.push(data);
+        } catch (err) {
+          console.warn('[CHECKPOINT] discarding', name, err?.message || err);
+          await fs.rm(file, { force: true });
+        }
+      }
+      return out.sort((a, b) => a.saved_at - b.saved_at);
+    },
+  };
+}
+
+function checkpointFile(dir, roomId) {
+  return path.join(dir, `${String(roomId).replace(/[^A-Za-z0-9_-]/g, '_')}.json`);
+}
+
+/** Write-then-rename so a crash mid-write leaves the previous checkpoint intact. */
+async function writeAtomic(file, json) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  await fs.writeFile(tmp, json);
+  await fs.rename(tmp, file);
+}
@@ -0,0 +1,165 @@
+/**
+ * Local Dev Stack - mock token issuer and results receiver
+ *
+ * Stands in for the platform backend when DEV_STACK=1, mounted on the game
+ * server under /dev so nothing else needs to run:
+ *
+ *   GET  /dev/.well-known/jwks.json          public key for validateAccessToken
+ *   GET  /dev/config?user=&roomId=&...        SDK config for a standalone tab (page ?dev=1)
+ *   GET  /dev/token?sub=&room_id=&role=&...   mint an access token by hand
+ *   POST /dev/games/rooms/:roomId/access      what Usion.game.connectDirect asks for
+ *   POST /dev/games/rooms/:roomId/join        always succeeds
+ *   POST /dev/games/direct/results            verifies signed match results
+ *   GET  /dev/results                         results received so far
+ *
+ * Room-shaping claims (game_mode, best_of, ...) given to /dev/config travel in
+ * the dev user token and are copied into every access token minted from it.
+ */
+import crypto from 'crypto';
+import { SignJWT, exportJWK, generateKeyPair, jwtVerify } from 'jose';
+import { buildCanonicalString, computeSignature } from './webhook.js';
+import { createRouter, httpError, parseJson } from './http.js';
+
+const ISSUER = 'usion-backend';
+const KEY_ID = 'dev-stack-key';
+const TOKEN_TTL = '12h';
+const MAX_RESULT_SKEW_SEC = 300;
+const RESULTS_PATH = '/games/direct/results';
+
+// Claims a dev user may set for the rooms they open.
+const ROOM_CLAIMS = [
+  'game_mode', 'rank_by', 'min_players', 'max_players', 'team_size', 'friendly_fire',
+  'best_of', 'bot_difficulty', 'team_id', 'rating', 'region',
+];
+const NUMERIC_CLAIMS = new Set(['min_players', 'max_players', 'team_size', 'best_of', 'rating']);
+
+export async function createDevStack({ serviceId, signingKeyId, signingSecret, prefix = '/dev' }) {
+  const { publicKey, privateKey } = await generateKeyPair('RS256');
+  const jwk = { ...(await exportJWK(publicKey)), kid: KEY_ID, alg: 'RS256', use: 'sig' };
+  const results = [];
+  const resultsByKey = new Map(); // idempotency key -> match_id
+
+  const mint = (claims, audience) => new SignJWT(claims)
+    .setProtectedHeader({ alg: 'RS256', kid: KEY_ID })
+    .setIssuer(ISSUER)
+    .setAudience(audience)
+    .setIssuedAt()
+    .setExpirationTime(TOKEN_TTL)
+    .sign(privateKey);
+
+  const mintAccessToken = ({ userId, roomId, role = 'player', extra = {} }) => mint({
+    sub: userId,
+    room_id: roomId,
+    session_id: devSessionId(roomId, userId),
+    service_id: serviceId,
+    permissions: [role === 'spectator' ? 'spectate' : 'play'],
+    ...pickRoomClaims(extra),
+  }, `usion-game-service:${serviceId}`);
+
+  const routes = [
+    ['GET', /^\/\.well-known\/jwks\.json$/, () => ({ keys: [jwk] })],
+
+    ['GET', /^\/config$/, async ({ req, query }) => {
+      const userId = query.get('user') || `dev-${crypto.randomBytes(3).toString('hex')}`;
+      const roomId = query.get('roomId') || 'dev-room';
+      const authToken = await mint({ sub: userId, ...pickRoomClaims(query) }, `${ISSUER}:dev-user`);
+      return {
+        userId,
+        userName: userId,
+        authToken,
+        roomId,
+        serviceId,
+        apiUrl: `http://${req.headers.host}${prefix}`,
+        sessionId: devSessionId(roomId, userId),
+        connectionMode: 'direct',
+      };
+    }],
+
+    ['GET', /^\/token$/, async ({ query }) => {
+      const userId = query.get('sub');
+      const roomId = query.get('room_id');
+      if (!userId || !roomId) throw httpError(400, 'sub and room_id are required');
+      return { access_token: await mintAccessToken({ userId, roomId, role: query.get('role'), extra: query }) };
+    }],
+
+    ['POST', /^\/games\/rooms\/([^/]+)\/access$/, async ({ req, match, body }) => {
+      const user = await verifyUserToken(req);
+      const roomId = decodeURIComponent(match[1]);
+      const request = parseJson(body);
+      return {
+        ws_url: `ws://${req.headers.host}/ws`,
+        access_token: await mintAccessToken({ userId: user.sub, roomId, role: request.role, extra: user }),
+        session_id: devSessionId(roomId, user.sub),
+        protocol_version: request.protocol_version || '2',
+      };
+    }],
+
+    ['POST', /^\/games\/rooms\/([^/]+)\/join$/, async ({ req }) => {
+      await verifyUserToken(req);
+      return { ok: true };
+    }],
+
+    ['POST', /^\/games\/direct\/results$/, ({ req, body }) => {
+      verifyResultSignature(req, body);
+      const key = String(req.headers['x-idempotency-key'] || '');
+      if (key && resultsByKey.has(key)) return { match_id: resultsByKey.get(key), duplicate: true };
+
+      const result = parseJson(body);
+      const matchId = `dev-match-${results.length + 1}`;
+      if (key) resultsByKey.set(key, matchId);
+      results.push({ match_id: matchId, idempotency_key: key || null, received_at: new Date().toISOString(), ...result });
+      console.log(`[DEV_STACK] result ${matchId} room=${result.room_id} reason=${result.reason} winners=${(result.winner_ids || []).join(',') || '-'}`);
+      return { match_id: matchId, duplicate: false };
+    }],
+
+    ['GET', /^\/results$/, () => ({ results })],
+  ];
+
+  async function verifyUserToken(req) {
+    const auth = String(req.headers.authorization || '');
+    const token = auth.startsWith('Bearer ') ? auth.slice(7) : '';
+    try {
+      const { payload } = await jwtVerify(token, publicKey, { issuer: ISSUER, audience: `${ISSUER}:dev-user` });
+      return payload;
+    } catch (err) {
+      throw httpError(401, `Invalid dev user token: ${err.message}`);
+    }
+  }
+
+  /** Same checks the platform makes: key id, timestamp window and HMAC over the canonical string. */
+  function verifyResultSignature(req, body) {
+    const timestamp = String(req.headers['x-usion-timestamp'] || '');
+    const signature = String(req.headers['x-usion-signature'] || '');
+    if (req.headers['x-usion-service-id'] !== serviceId) throw httpError(401, 'Unknown service id');
+    if (req.headers['x-usion-key-id'] !== signingKeyId) throw httpError(401, 'Unknown signing key id');
+    if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_RESULT_SKEW_SEC) {
+      throw httpError(401, 'Timestamp outside the allowed window');
+    }
+    const expected = computeSignature(signingSecret, buildCanonicalString(timestamp, 'POST', RESULTS_PATH, body));
+    const a = Buffer.from(signature, 'utf-8');
+    const b = Buffer.from(expected, 'utf-8');
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) throw httpError(401, 'Bad signature');
+  }
+
+  const handle = createRouter(prefix, routes, { tag: 'DEV_STACK' });
+
+  return { handle, mintAccessToken, results };
+}
+
+/** Rooms key player sessions by session_id, so each user gets their own. */
+function devSessionId(roomId, userId) {
+  return `dev-${roomId}-${userId}`;
+}
+
+function pickRoomClaims(source) {
+  const get = (key) => (typeof source.get === 'function' ? source.get(key) : source[key]);
+  const out = {};
+  for (const key of ROOM_CLAIMS) {
+    const value = get(key);
+    if (value === null || value === undefined || value === '') continue;
+    if (key === 'friendly_fire') out[key] = value === true || value === 'true' || value === '1';
+    else if (NUMERIC_CLAIMS.has(key)) out[key] = Number(value);
+    else out[key] = String(value);
+  }
+  return out;
+}
@@ -1,6 +1,8 @@
 /**
- * Space Craft - Authoritative 2P shooter simulation.
- * Deterministic, fixed-step physics.
+ * Space Craft - Authoritative shooter simulation (1v1 duel, 3-8 player FFA, or teams).
+ * Deterministic, fixed-step physics: all randomness comes from a seeded PRNG
+ * carried in state (state.rng) and entity ids from a counter (state.nextEntityId),
+ * so identical seeds and input streams give bit-identical states.
  *
  * CS:GO-style lag compensation:
  * - Position history for every player (30 ticks = 500ms at 60Hz)
@@ -8,6 +10,8 @@
  * - Instant rewind hit-scan on projectile spawn for point-blank shots
  * - No shield, no regen — damage goes straight to HP
  * - 3 power-up types: Laser, Bomb, Nova
+ * - Frozen players (waiting on a reconnect) neither move nor take damage
+ * - Team mode: teammates pass through each other's fire unless friendlyFire is on
  */
 
 const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
@@ -19,6 +23,8 @@ const roundState = (v) => Math.round(v * STATE_PRECISION) / STATE_PRECISION;
 const POS_HISTORY_MAX = 30;
 /** Sim tick duration for position rewind calculations */
 const SIM_TICK_MS_REF = 16;
+/** The fixed step the server advances the simulation by (60Hz) */
+export const FIXED_DT_MS = 1000 / 60;
 
 export const CONFIG = {
   arenaWidth: 100,
@@ -68,6 +74,10 @@ export const CONFIG = {
   specialUsesPerPickup: 3,
 
   roundDurationMs: 180000,
+
+  // --- Match size ---
+  maxPlayers: 8,
+  spawnRingRadius: 32,
 };
 
 const HIT_DIST_SQ = Math.pow(CONFIG.playerRadius + CONFIG.projectileRadius, 2);
@@ -103,18 +113,30 @@ function getRewindPos(player, lagMs) {
 // ---------------------------------------------------------------------------
 // State management
 // ---------------------------------------------------------------------------
-export function initState(playerIds, seed) {
-  const spawns = [
-    { x: 18, y: 50, angle: 0 },
-    { x: 82, y: 50, angle: Math.PI },
-  ];
+/**
+ * options.mode: 'duel' | 'ffa' | 'team'
+ * options.rankBy: 'survival' (last alive wins) | 'kills' (most kills wins)
+ * options.teams: { [playerId]: teamId } (team mode only)
+ * options.friendlyFire: teammates can damage each other (team mode only)
+ */
+export function initState(playerIds, seed, options = {}) {
+  const teams = options.mode === 'team' ? (options.teams || {}) : {};
+  const count = Math.min(playerIds.length, CONFIG.maxPlayers);
+  // Teammates take neighbouring spawn points, so each team starts on its own side.
+  const ordered = playerIds.slice(0, count)
+    .map((id, i) => ({ id, i, teamId: teams[id] ?? null }))
+    .sort((a, b) => String(a.teamId ?? '').localeCompare(String(b.teamId ?? '')) || a.i - b.i);
+  const random = { rng: seedRng(Number(seed || 1)) };
+  const spawns = buildSpawnLayout(count, random);
 
   const players = {};
-  for (let i = 0; i < Math.min(playerIds.length, 2); i++) {
-    const id = playerIds[i];
+  for (let i = 0; i < count; i++) {
+    const { id, teamId } = ordered[i];
     const s = spawns[i];
     players[id] = {
       id,
+      slot: i,
+      teamId,
       x: s.x,
       y: s.y,
       vx: 0,
@@ -125,6 +147,8 @@ export function initState(playerIds, seed) {
       weaponLevel: 1,
       fireCooldownMs: 0,
       alive: true,
+      frozen: false,
+      eliminatedAtTick: null,
       // Special weapon state
       specialWeapon: null,
       specialUses: 0,
@@ -144,7 +168,12 @@ export function initState(playerIds, seed) {
 
   return {
     phase: 'playing',
+    mode: options.mode || 'duel',
+    rankBy: options.rankBy === 'kills' ? 'kills' : 'survival',
+    friendlyFire: options.mode === 'team' && Boolean(options.friendlyFire),
     seed: Number(seed || 1),
+    rng: random.rng,
+    nextEntityId: 1,
     tick: 0,
     remainingMs: CONFIG.roundDurationMs,
     arena: {
@@ -156,13 +185,35 @@ export function initState(playerIds, seed) {
     pickups: [],
     effects: [],
     winnerIds: [],
+    ranking: [],
+    teamRanking: [],
     reason: null,
   };
 }
 
+/**
+ * Spawn points evenly spaced on a ring around the arena centre, all facing
+ * inwards. The ring's rotation comes from the PRNG so layouts vary per match.
+ */
+function buildSpawnLayout(count, random) {
+  const cx = CONFIG.arenaWidth / 2;
+  const cy = CONFIG.arenaHeight / 2;
+  const offset = nextRandom(random) * TAU;
+  const spawns = [];
+  for (let i = 0; i < count; i++) {
+    const a = offset + (i * TAU) / Math.max(1, count);
+    spawns.push({
+      x: roundState(cx + Math.cos(a) * CONFIG.spawnRingRadius),
+      y: roundState(cy + Math.sin(a) * CONFIG.spawnRingRadius),
+      angle: normalizeAngle(a + Math.PI),
+    });
+  }
+  return spawns;
+}
+
 export function applyInput(state, playerId, payload) {
   const p = state.players[playerId];
-  if (!p || !p.alive) return;
+  if (!p || !p.alive || p.frozen) return;
   const incomingFireSeq = Number(payload?.fire_seq);
   p.input = {
     turn: clamp(Number(payload?.turn || 0), -1, 1),
@@ -177,20 +228,21 @@ export function applyInput(state, playerId, payload) {
 // ---------------------------------------------------------------------------
 // Main tick
 // ---------------------------------------------------------------------------
-export function tick(state, dtMs) {
+export function tick(state, dtMs = FIXED_DT_MS) {
   if (state.phase !== 'playing') return state;
 
   const dt = dtMs / 1000;
   state.tick += 1;
   state.remainingMs = Math.max(0, state.remainingMs - dtMs);
 
-  // Expire effects
+  // Expire effects. Effects spawned later this tick are numbered after the
+  // survivors, which keeps fx:<tick>:<index> ids unique.
   state.effects = (state.effects || [])
     .map(e => ({ ...e, ttlMs: e.ttlMs - dtMs }))
     .filter(e => e.ttlMs > 0);
 
   for (const [pid, p] of Object.entries(state.players)) {
-    if (!p.alive) continue;
+    if (!p.alive || p.frozen) continue;
 
     // --- Movement ---
     p.angle = normalizeAngle(p.angle + p.input.turn * CONFIG.turnRate * dt);
@@ -272,7 +324,7 @@ function fireSpecialWeapon(state, pid, p) {
     case 'bomb': {
       const muzzle = CONFIG.playerRadius + 1;
       const pr = {
-        id: `bomb:${state.tick}:${pid}`,
+        id: `bomb:${state.tick}:${pid}:${state.nextEntityId++}`,
         ownerId: pid,
         x: clamp(p.x + Math.cos(p.angle) * muzzle, CONFIG.projectileRadius, state.arena.width - CONFIG.projectileRadius),
         y: clamp(p.y + Math.sin(p.angle) * muzzle, CONFIG.projectileRadius, state.arena.height - CONFIG.projectileRadius),
@@ -297,23 +349,18 @@ function fireSpecialWeapon(state, pid, p) {
     case 'nova': {
       if (p.novaCooldownMs <= 0) {
         for (const [tid, target] of Object.entries(state.players)) {
-          if (tid === pid || !target.alive) continue;
+          if (tid === pid || !isTargetable(target) || !canDamage(state, pid, target)) continue;
           // Use rewound position for lag compensation
           const targetPos = getRewindPos(target, p.input.lagCompMs);
           const d = Math.hypot(targetPos.x - p.x, targetPos.y - p.y);
           if (d <= CONFIG.novaRadius) {
             const falloff = 1 - (d / CONFIG.novaRadius) * 0.5;
             const dmg = Math.round(CONFIG.novaDamage * falloff);
-            target.hp = Math.max(0, target.hp - dmg);
-            p.stats.damageDealt += dmg;
-            if (target.hp <= 0 && target.alive) {
-              target.alive = false;
-              target.stats.deaths += 1;
-              p.stats.kills += 1;
-            }
+            applyDamage(state, pid, target, dmg);
           }
         }
         state.effects.push({
+          id: `fx:${state.tick}:${state.effects.length}`,
           type: 'nova',
           x: p.x,
           y: p.y,
@@ -343,7 +390,7 @@ function applyLaserDamage(state, pid, p, dt) {
   const ownerLag = p.input.lagCompMs || 0;
 
   for (const [tid, target] of Object.entries(state.players)) {
-    if (tid === pid || !target.alive) continue;
+    if (tid === pid || !isTargetable(target) || !canDamage(state, pid, target)) continue;
 
     // Use rewound position for lag compensation
     const targetPos = getRewindPos(target, ownerLag);
@@ -358,14 +405,7 @@ function applyLaserDamage(state, pid, p, dt) {
     if (perpDist > beamHalfWidth + CONFIG.playerRadius) continue;
 
     const dmg = beamDps * dt;
-    target.hp = Math.max(0, target.hp - dmg);
-    p.stats.damageDealt += dmg;
-
-    if (target.hp <= 0 && target.alive) {
-      target.alive = false;
-      target.stats.deaths += 1;
-      p.stats.kills += 1;
-    }
+    applyDamage(state, pid, target, dmg);
   }
 }
 
@@ -380,6 +420,53 @@ export function isTerminal(state) {
   };
 }
 
+/**
+ * End the match from outside the simulation (forfeit, disconnect).
+ * Returns false if the match is already over.
+ */
+export function endMatch(state, winnerIds, reason) {
+  if (state.phase !== 'playing') return false;
+  state.phase = 'finished';
+  state.winnerIds = withTeammates(state, winnerIds);
+  if (state.mode === 'team') state.teamRanking = rankTeams(state).map((t) => t.teamId);
+  state.ranking = [
+    ...state.winnerIds,
+    ...rankPlayers(state).map((r) => r.pid).filter((pid) => !state.winnerIds.includes(pid)),
+  ];
+  state.reason = reason;
+  return true;
+}
+
+/**
+ * Player gives up: the match ends at once and everyone else wins (in team
+ * matches, everyone not on the forfeiting player's team). Returns false if the
+ * match is already over or the player is not in it.
+ */
+export function forfeit(state, playerId) {
+  if (state.phase !== 'playing' || !state.players[playerId]) return false;
+  const teamId = state.players[playerId].teamId;
+  const others = Object.keys(state.players).filter((pid) => (
+    pid !== playerId && (state.mode !== 'team' || state.players[pid].teamId !== teamId)
+  ));
+  return endMatch(state, others, 'forfeit');
+}
+
+/**
+ * Freeze a player in place while their connection is gone: the ship stops,
+ * drops its input and cannot be hit until it is unfrozen.
+ */
+export function setPlayerFrozen(state, playerId, frozen) {
+  const p = state.players[playerId];
+  if (!p) return;
+  p.frozen = Boolean(frozen);
+  if (p.frozen) {
+    p.vx = 0;
+    p.vy = 0;
+    p.laserActiveMs = 0;
+    p.input = { turn: 0, thrust: 0, fire: false, firePressed: false, fireSeq: null, lagCompMs: 0 };
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Projectiles — with CS:GO-style lag-compensated collision
 // ---------------------------------------------------------------------------
@@ -402,7 +489,7 @@ function spawnProjectile(state, ownerId, p, lagCompMs = 0, fireSeq = null) {
   const spawnY = clamp(p.y + Math.sin(p.angle) * muzzle, minY, maxY);
 
   const pr = {
-    id: `${state.tick}:${ownerId}:${Math.random().toString(36).slice(2, 7)}`,
+    id: `${state.tick}:${ownerId}:${state.nextEntityId++}`,
     ownerId,
     x: spawnX,
     y: spawnY,
@@ -436,7 +523,7 @@ function spawnProjectile(state, ownerId, p, lagCompMs = 0, fireSeq = null) {
       // Check against rewound positions at proportional time
       const rewindMs = appliedLagMs - (s + 1) * SIM_TICK_MS_REF;
       for (const [pid, target] of Object.entries(state.players)) {
-        if (!target.alive || pid === ownerId) continue;
+        if (!isTargetable(target) || pid === ownerId || !canDamage(state, ownerId, target)) continue;
         const rPos = getRewindPos(target, Math.max(0, rewindMs));
         if (distSq(checkX, checkY, rPos.x, rPos.y) <= HIT_DIST_SQ) {
           instantHitPid = pid;
@@ -448,14 +535,7 @@ function spawnProjectile(state, ownerId, p, lagCompMs = 0, fireSeq = null) {
 
     if (instantHitPid) {
       // Instant hit! Apply damage, don't create the projectile (it already hit)
-      const target = state.players[instantHitPid];
-      target.hp = Math.max(0, target.hp - pr.damage);
-      p.stats.damageDealt += pr.damage;
-      if (target.hp <= 0 && target.alive) {
-        target.alive = false;
-        target.stats.deaths += 1;
-        p.stats.kills += 1;
-      }
+      applyDamage(state, ownerId, state.players[instantHitPid], pr.damage);
       // Still push a very-short-lived projectile so the client sees the shot
       pr.x = checkX;
       pr.y = checkY;
@@ -505,7 +585,7 @@ function updateProjectiles(state, dtMs) {
     const ownerLag = pr.lagCompMs || 0;
 
     for (const [pid, p] of Object.entries(state.players)) {
-      if (!p.alive || pid === pr.ownerId) continue;
+      if (!isTargetable(p) || pid === pr.ownerId || !canDamage(state, pr.ownerId, p)) continue;
 
       // Check 1: Current position (always checked)
       if (distSq(pr.x, pr.y, p.x, p.y) <= HIT_DIST_SQ) {
@@ -533,15 +613,7 @@ function updateProjectiles(state, dtMs) {
     if (pr.isBomb) {
       triggerBombExplosion(state, pr);
     } else {
-      const target = state.players[hit];
-      const owner = state.players[pr.ownerId];
-      target.hp = Math.max(0, target.hp - pr.damage);
-      if (owner) owner.stats.damageDealt += pr.damage;
-      if (target.hp <= 0 && target.alive) {
-        target.alive = false;
-        target.stats.deaths += 1;
-        if (owner) owner.stats.kills += 1;
-      }
+      applyDamage(state, pr.ownerId, state.players[hit], pr.damage);
     }
   }
 
@@ -549,10 +621,9 @@ function updateProjectiles(state, dtMs) {
 }
 
 function triggerBombExplosion(state, pr) {
-  const owner = state.players[pr.ownerId];
   const ownerLag = pr.lagCompMs || 0;
   for (const [pid, p] of Object.entries(state.players)) {
-    if (!p.alive) continue;
+    if (!isTargetable(p) || !canDamage(state, pr.ownerId, p)) continue;
     // Use rewound position for blast radius check
     const pos = pid !== pr.ownerId ? getRewindPos(p, ownerLag) : { x: p.x, y: p.y };
     const d = Math.hypot(pos.x - pr.x, pos.y - pr.y);
@@ -560,16 +631,11 @@ function triggerBombExplosion(state, pr) {
       const falloff = 1 - (d / CONFIG.bombRadius) * 0.6;
       const dmg = Math.round(CONFIG.bombDamage * falloff);
       const actualDmg = pid === pr.ownerId ? Math.round(dmg * 0.5) : dmg;
-      p.hp = Math.max(0, p.hp - actualDmg);
-      if (owner && pid !== pr.ownerId) owner.stats.damageDealt += actualDmg;
-      if (p.hp <= 0 && p.alive) {
-        p.alive = false;
-        p.stats.deaths += 1;
-        if (owner && pid !== pr.ownerId) owner.stats.kills += 1;
-      }
+      applyDamage(state, pr.ownerId, p, actualDmg);
     }
   }
   state.effects.push({
+    id: `fx:${state.tick}:${state.effects.length}`,
     type: 'explosion',
     x: pr.x,
     y: pr.y,
@@ -579,6 +645,23 @@ function triggerBombExplosion(state, pr) {
   });
 }
 
+/**
+ * Apply damage and handle the kill. Self-damage (bomb splash) and friendly
+ * fire credit nobody. The attacker may be gone from the match already.
+ */
+function applyDamage(state, attackerId, target, dmg) {
+  const credited = attackerId !== target.id && !areTeammates(state, attackerId, target.id);
+  const attacker = credited ? state.players[attackerId] : null;
+  target.hp = Math.max(0, target.hp - dmg);
+  if (attacker) attacker.stats.damageDealt += dmg;
+  if (target.hp <= 0 && target.alive) {
+    target.alive = false;
+    target.stats.deaths += 1;
+    target.eliminatedAtTick = state.tick;
+    if (attacker) attacker.stats.kills += 1;
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Pickups
 // ---------------------------------------------------------------------------
@@ -586,9 +669,9 @@ function spawnPickups(state) {
   if (state.tick % CONFIG.pickupSpawnEveryTicks !== 0) return;
   if (state.pickups.length >= CONFIG.maxPickups) return;
 
-  const r1 = pseudoRandom(state.seed + state.tick * 7919);
-  const r2 = pseudoRandom(state.seed + state.tick * 1543);
-  const r3 = pseudoRandom(state.seed + state.tick * 3571);
+  const r1 = nextRandom(state);
+  const r2 = nextRandom(state);
+  const r3 = nextRandom(state);
   const minX = CONFIG.pickupRadius + 5;
   const maxX = state.arena.width - CONFIG.pickupRadius - 5;
   const minY = CONFIG.pickupRadius + 5;
@@ -611,7 +694,7 @@ function collectPickups(state) {
   for (const pickup of state.pickups) {
     let collectorId = null;
     for (const [pid, p] of Object.entries(state.players)) {
-      if (!p.alive) continue;
+      if (!isTargetable(p)) continue;
       if (distSq(pickup.x, pickup.y, p.x, p.y) <= Math.pow(CONFIG.pickupRadius + CONFIG.playerRadius, 2)) {
         collectorId = pid;
         break;
@@ -641,31 +724,133 @@ function resolveTerminal(state) {
     .filter(([, p]) => p.alive)
     .map(([pid]) => pid);
 
-  if (alive.length <= 1) {
-    state.phase = 'finished';
+  const team = state.mode === 'team';
+  const eliminated = team
+    ? new Set(alive.map((pid) => state.players[pid].teamId)).size <= 1
+    : alive.length <= 1;
+  if (!eliminated && state.remainingMs > 0) return;
+
+  const ranked = rankPlayers(state);
+  state.phase = 'finished';
+  state.ranking = ranked.map((r) => r.pid);
+  state.reason = eliminated ? 'elimination' : 'timeout';
+
+  if (team) {
+    const teams = rankTeams(state);
+    state.teamRanking = teams.map((t) => t.teamId);
+    const winners = eliminated && state.rankBy !== 'kills'
+      ? alive
+      : teams.filter((t) => compareRankKeys(t.key, teams[0].key) === 0).flatMap((t) => t.members);
+    state.winnerIds = withTeammates(state, winners);
+    return;
+  }
+
+  if (eliminated && state.rankBy !== 'kills') {
     state.winnerIds = alive;
-    state.reason = 'elimination';
     return;
   }
+  state.winnerIds = ranked.filter((r) => compareRankKeys(r.key, ranked[0].key) === 0).map((r) => r.pid);
+}
+
+/**
+ * Order players best-first.
+ * survival: alive players by HP, then the dead by how late they were eliminated.
+ * kills: most kills, then survival order as a tie-break.
+ * In team mode players are grouped by their team's rank first.
+ */
+function rankPlayers(state) {
+  const teamOrder = state.mode === 'team' ? rankTeams(state).map((t) => t.teamId) : [];
+  return Object.entries(state.players)
+    .map(([pid, p]) => {
+      const survival = p.alive ? [1, p.hp] : [0, p.eliminatedAtTick ?? -1];
+      const key = state.rankBy === 'kills' ? [p.stats.kills, ...survival] : survival;
+      return { pid, key: teamOrder.length > 0 ? [-teamOrder.indexOf(p.teamId), ...key] : key };
+    })
+    .sort((a, b) => compareRankKeys(a.key, b.key));
+}
+
+/**
+ * Order teams best-first: ships still alive, then their combined HP.
+ * With rankBy 'kills' the team's total kills come first.
+ */
+function rankTeams(state) {
+  const byTeam = new Map();
+  for (const [pid, p] of Object.entries(state.players)) {
+    if (!byTeam.has(p.teamId)) byTeam.set(p.teamId, { teamId: p.teamId, members: [], alive: 0, hp: 0, kills: 0 });
+    const t = byTeam.get(p.teamId);
+    t.members.push(pid);
+    t.kills += p.stats.kills;
+    if (p.alive) {
+      t.alive += 1;
+      t.hp += p.hp;
+    }
+  }
+  return [...byTeam.values()]
+    .map((t) => ({ ...t, key: state.rankBy === 'kills' ? [t.kills, t.alive, t.hp] : [t.alive, t.hp] }))
+    .sort((a, b) => compareRankKeys(a.key, b.key));
+}
 
-  if (state.remainingMs <= 0) {
-    const ranked = Object.entries(state.players)
-      .map(([pid, p]) => ({ pid, score: p.hp }))
-      .sort((a, b) => b.score - a.score);
+/** In team mode a win goes to the whole team, including members already down. */
+function withTeammates(state, playerIds) {
+  if (state.mode !== 'team') return [...playerIds];
+  const teams = new Set(playerIds.map((pid) => state.players[pid]?.teamId));
+  return Object.keys(state.players).filter((pid) => teams.has(state.players[pid].teamId));
+}
 
-    const top = ranked[0]?.score ?? 0;
-    state.winnerIds = ranked.filter((r) => Math.abs(r.score - top) < 0.0001).map((r) => r.pid);
-    state.phase = 'finished';
-    state.reason = 'timeout';
+function compareRankKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (Math.abs(a[i] - b[i]) >= 0.0001) return b[i] - a[i];
   }
+  return 0;
+}
+
+/**
+ * Take a player out of a match that carries on without them (they left an
+ * FFA for good). Counts as a death with no killer.
+ */
+export function eliminate(state, playerId) {
+  const p = state.players[playerId];
+  if (!p || !p.alive) return;
+  p.alive = false;
+  p.frozen = false;
+  p.hp = 0;
+  p.stats.deaths += 1;
+  p.eliminatedAtTick = state.tick;
 }
 
 // ---------------------------------------------------------------------------
 // Utility
 // ---------------------------------------------------------------------------
-function pseudoRandom(seed) {
-  const x = Math.sin(seed * 12.9898) * 43758.5453;
-  return x - Math.floor(x);
+/** Fold a (possibly > 32-bit) seed into the uint32 PRNG state. */
+function seedRng(seed) {
+  const lo = seed % 4294967296;
+  const hi = Math.floor(seed / 4294967296);
+  return ((lo ^ Math.imul(hi, 0x9E3779B1)) >>> 0) || 1;
+}
+
+/** mulberry32: advances holder.rng and returns a float in [0, 1). */
+function nextRandom(holder) {
+  holder.rng = (holder.rng + 0x6D2B79F5) >>> 0;
+  let t = holder.rng;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function isTargetable(player) {
+  return player.alive && !player.frozen;
+}
+
+function areTeammates(state, aId, bId) {
+  const a = state.players[aId];
+  const b = state.players[bId];
+  return Boolean(a && b && a.teamId !== null && a.teamId === b.teamId);
+}
+
+/** Own bomb splash always hurts; teammates only with friendly fire on. */
+function canDamage(state, attackerId, target) {
+  if (attackerId === target.id || state.friendlyFire) return true;
+  return !areTeammates(state, attackerId, target.id);
 }
 
 function normalizeAngle(a) {
@@ -0,0 +1,150 @@
+/**
+ * Health Checks - liveness and readiness for orchestrators
+ *
+ *   GET /healthz   200 while the process and its event loop are serving
+ *   GET /readyz    200 when this instance should get new players, 503 with
+ *                  the reasons when it should be drained
+ *
+ * Both report the same body: sim/net rates, rooms and sessions, event-loop
+ * lag, the worst tick in the recent window, JWKS reachability and the result
+ * webhook backlog. Readiness fails while the JWKS cannot be fetched (new
+ * connections could not authenticate), while the event loop or tick loop is
+ * persistently too slow to run matches, while undelivered results pile up,
+ * and for good once the server starts draining for shutdown.
+ */
+import { monitorEventLoopDelay } from 'perf_hooks';
+import { sendJson } from './http.js';
+
+const JWKS_TIMEOUT_MS = 5000;
+const JWKS_RETRY_MS = 5000; // probe interval while the JWKS is not reachable
+
+export function createHealth({
+  jwksUrl,
+  describe,
+  outbox,
+  windowMs = 30000,
+  jwksProbeMs = 30000,
+  maxLoopLagMs = 200,
+  maxTickMs = 250,
+  maxWebhookBacklog = 100,
+}) {
+  const loopDelay = monitorEventLoopDelay({ resolution: 10 });
+
+  // The live window plus the last full one, so "recent" always covers at least windowMs.
+  let previousLoop = { p99: 0, max: 0 };
+  let ticks = { current: 0, previous: 0 };
+  const jwks = { status: 'unknown', checked_at: null, last_ok_at: null, latency_ms: null, error: null };
+  let jwksTimer = null;
+  let started = false;
+  let draining = false;
+
+  const rollTimer = setInterval(() => {
+    previousLoop = { p99: loopDelay.percentile(99) / 1e6, max: loopDelay.max / 1e6 };
+    loopDelay.reset();
+    ticks = { previous: ticks.current, current: 0 };
+  }, windowMs);
+  rollTimer.unref();
+
+  async function probeJwks() {
+    const startedAt = Date.now();
+    try {
+      const res = await fetch(jwksUrl, { signal: AbortSignal.timeout(JWKS_TIMEOUT_MS) });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const body = await res.json();
+      if (!Array.isArray(body?.keys) || body.keys.length === 0) throw new Error('no keys');
+      jwks.status = 'ok';
+      jwks.last_ok_at = new Date().toISOString();
+      jwks.error = null;
+    } catch (err) {
+      if (jwks.status === 'ok') console.warn('[HEALTH] JWKS unreachable', err?.message || err);
+      jwks.status = 'unreachable';
+      jwks.error = String(err?.message || err);
+    } finally {
+      jwks.checked_at = new Date().toISOString();
+      jwks.latency_ms = Date.now() - startedAt;
+      if (started) {
+        jwksTimer = setTimeout(probeJwks, jwks.status === 'ok' ? jwksProbeMs : JWKS_RETRY_MS);
+        jwksTimer.unref();
+      }
+    }
+  }
+
+  function report() {
+    const lagP99 = Math.max(previousLoop.p99, loopDelay.percentile(99) / 1e6);
+    const lagMax = Math.max(previousLoop.max, loopDelay.max / 1e6);
+    const worstTickMs = Math.max(ticks.previous, ticks.current);
+    const webhooks = outbox.stats();
+
+    const reasons = [];
+    if (draining) reasons.push('draining');
+    if (jwks.status !== 'ok') reasons.push(`jwks_${jwks.status}`);
+    if (lagP99 > maxLoopLagMs) reasons.push('event_loop_lag');
+    if (worstTickMs > maxTickMs) reasons.push('tick_overrun');
+    if (webhooks.pending > maxWebhookBacklog) reasons.push('webhook_backlog');
+
+    return {
+      ready: reasons.length === 0,
+      body: {
+        status: draining ? 'draining' : reasons.length === 0 ? 'ok' : 'degraded',
+        reasons,
+        ts: Date.now(),
+        uptime_sec: Math.round(process.uptime()),
+        ...describe(),
+        event_loop_lag_ms: { p99: round(lagP99), max: round(lagMax) },
+        worst_tick_ms: round(worstTickMs),
+        jwks: { url: jwksUrl, ...jwks },
+        webhook_backlog: webhooks,
+      },
+    };
+  }
+
+  return {
+    /** Call once serving: starts lag sampling and probes the JWKS now and then every jwksProbeMs. */
+    start() {
+      if (started) return;
+      started = true;
+      loopDelay.enable();
+      probeJwks();
+    },
+
+    /** Duration of one tick-loop wake-up, in ms. */
+    recordTick(durationMs) {
+      if (durationMs > ticks.current) ticks.current = durationMs;
+    },
+
+    /** Shutting down: readiness fails from now on so no new players are sent here. */
+    setDraining() {
+      draining = true;
+    },
+
+    report,
+
+    /** Answers /healthz and /readyz; returns false for every other request. */
+    handle(req, res) {
+      if (req.method !== 'GET') return false;
+      const { pathname } = new URL(req.url || '/', 'http://localhost');
+      if (pathname === '/healthz') {
+        sendJson(res, 200, { ...report().body, live: true });
+        return true;
+      }
+      if (pathname === '/readyz') {
+        const { ready, body } = report();
+        sendJson(res, ready ? 200 : 503, body);
+        return true;
+      }
+      return false;
+    },
+
+    stop() {
+      started = false;
+      clearInterval(rollTimer);
+      if (jwksTimer) clearTimeout(jwksTimer);
+      jwksTimer = null;
+      loopDelay.disable();
+    },
+  };
+}
+
+function round(ms) {
+  return Math.round(ms * 10) / 10;
+}
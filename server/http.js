@@ -0,0 +1,80 @@
+/**
+ * JSON HTTP Helpers - small routers for the server's own HTTP endpoints
+ *
+ * The dev stack and the admin API answer plain JSON requests on the same
+ * HTTP server as Next. A router owns one path prefix; a route handler gets
+ * { req, query, match, body } and returns the response body, or throws an
+ * httpError to answer with that status.
+ */
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * routes: [method, pathRegex, handler] with paths relative to prefix.
+ * Returns handle(req, res), which answers and returns true for requests
+ * under the prefix and returns false for everything else.
+ */
+export function createRouter(prefix, routes, { tag = 'HTTP', before = null } = {}) {
+  return function handle(req, res) {
+    const url = new URL(req.url || '/', 'http://localhost');
+    if (url.pathname !== prefix && !url.pathname.startsWith(`${prefix}/`)) return false;
+    const subPath = url.pathname.slice(prefix.length) || '/';
+
+    let match = null;
+    const route = routes.find(([method, pattern]) => method === req.method && (match = pattern.exec(subPath)));
+
+    Promise.resolve()
+      .then(() => before?.(req))
+      .then(() => {
+        if (!route) throw httpError(404, 'not_found');
+        return readBody(req);
+      })
+      .then((body) => route[2]({ req, query: url.searchParams, match, body }))
+      .then((out) => sendJson(res, 200, out))
+      .catch((err) => {
+        if (!err.status) console.error(`[${tag}] error`, err?.message || err);
+        sendJson(res, err.status || 500, { error: err.message || 'internal_error' });
+      });
+    return true;
+  };
+}
+
+export function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, 'Body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+export function parseJson(body) {
+  if (!body || body.length === 0) return {};
+  try {
+    return JSON.parse(body.toString('utf-8'));
+  } catch {
+    throw httpError(400, 'Invalid JSON body');
+  }
+}
+
+export function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(JSON.stringify(body));
+}
+
+export function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
@@ -0,0 +1,130 @@
+/**
+ * Input Buffer - per-player command queue keyed by the tick it is meant for
+ *
+ * Clients stamp each input with the server tick they want it simulated on
+ * (their estimate of the current tick plus a lead). The room takes exactly one
+ * command per sim tick: the one stamped for that tick, or the last command
+ * held over when none arrived. Several commands for one tick collapse into
+ * the newest, keeping any fire press among them.
+ *
+ * A command that arrives after its tick has run is late. It never rewrites a
+ * past tick: it is taken on the next tick only if nothing newer is queued,
+ * otherwise just its fire press carries over. Commands stamped further ahead
+ * than maxTicks are pulled in to that lead.
+ *
+ * The buffer tracks how far ahead commands arrive (lead) and how much that
+ * wobbles (jitter), and derives a target lead that absorbs the jitter.
+ * status() reports it so the client can move its send timing; unstamped
+ * (legacy) commands are treated as meant for the next tick.
+ */
+
+const LEAD_EMA = 0.1;
+
+export function createInputBuffer({ minTicks = 1, maxTicks = 10 } = {}) {
+  let queue = []; // { tick, input } sorted by tick, one per tick
+  let carriedFire = null; // { fire_seq } of a late press not yet applied
+  let leadTicks = null; // EMA of arrival lead, in ticks
+  let jitterTicks = 0; // EMA of |lead - leadTicks|
+  let stamped = false; // the client sends intended ticks
+  let counts = { late: 0, early: 0, starved: 0 };
+
+  function targetTicks() {
+    return Math.min(maxTicks, Math.max(minTicks, Math.ceil(minTicks + 2 * jitterTicks)));
+  }
+
+  function insert(tick, input) {
+    const i = queue.findIndex((c) => c.tick >= tick);
+    if (i >= 0 && queue[i].tick === tick) {
+      queue[i].input = withFire(input, queue[i].input);
+    } else if (i >= 0) {
+      queue.splice(i, 0, { tick, input });
+    } else {
+      queue.push({ tick, input });
+    }
+  }
+
+  return {
+    /**
+     * Queue one command. nextTick is the tick the room simulates next.
+     * Returns 'on_time', 'late' or 'early'.
+     */
+    push(input, intendedTick, nextTick) {
+      let tick = Number.isInteger(intendedTick) ? intendedTick : nextTick;
+      if (Number.isInteger(intendedTick)) stamped = true;
+
+      // Clamped so one wild stamp cannot swamp the averages.
+      const lead = Math.max(-maxTicks, Math.min(maxTicks, tick - nextTick));
+      if (leadTicks === null) leadTicks = lead;
+      jitterTicks += (Math.abs(lead - leadTicks) - jitterTicks) * LEAD_EMA;
+      leadTicks += (lead - leadTicks) * LEAD_EMA;
+
+      if (tick < nextTick) {
+        counts.late += 1;
+        if (queue.length === 0) {
+          insert(nextTick, input);
+        } else if (input.fire_pressed) {
+          carriedFire = { fire_seq: input.fire_seq };
+        }
+        return 'late';
+      }
+      let outcome = 'on_time';
+      if (tick > nextTick + maxTicks) {
+        counts.early += 1;
+        tick = nextTick + maxTicks;
+        outcome = 'early';
+      }
+      insert(tick, input);
+      return outcome;
+    },
+
+    /** The command for this tick, or null to keep the held one (minus its fire press). */
+    take(tick) {
+      let taken = null;
+      while (queue.length > 0 && queue[0].tick <= tick) {
+        const next = queue.shift().input;
+        taken = taken ? withFire(next, taken) : next;
+      }
+      if (!taken) {
+        if (stamped) counts.starved += 1;
+        return null;
+      }
+      if (carriedFire && !taken.fire_pressed) {
+        taken = { ...taken, fire_pressed: true, fire_seq: carriedFire.fire_seq };
+      }
+      carriedFire = null;
+      return taken;
+    },
+
+    /** Buffer health since the last call, for input_status; null for unstamped clients. */
+    status(tick) {
+      if (!stamped) return null;
+      const target = targetTicks();
+      const lead = leadTicks ?? 0;
+      const out = {
+        buffered_ticks: queue.length > 0 ? queue[queue.length - 1].tick - tick : 0,
+        lead_ticks: round(lead),
+        jitter_ticks: round(jitterTicks),
+        target_ticks: target,
+        adjust_ticks: round(target - lead),
+        ...counts,
+      };
+      counts = { late: 0, early: 0, starved: 0 };
+      return out;
+    },
+
+    clear() {
+      queue = [];
+      carriedFire = null;
+    },
+  };
+}
+
+/** next, keeping the fire press of prev when next has none. */
+function withFire(next, prev) {
+  if (!prev.fire_pressed || next.fire_pressed) return next;
+  return { ...next, fire_pressed: true, fire_seq: prev.fire_seq };
+}
+
+function round(ticks) {
+  return Math.round(ticks * 10) / 10;
+}
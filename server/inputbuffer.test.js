@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createInputBuffer } from './inputbuffer.js';
+
+function input(turn, fire = null) {
+  return fire === null
+    ? { turn, thrust: 0, fire: false, fire_pressed: false }
+    : { turn, thrust: 0, fire: true, fire_pressed: true, fire_seq: fire };
+}
+
+test('a command runs on the tick it is stamped for', () => {
+  const buffer = createInputBuffer({ minTicks: 1, maxTicks: 10 });
+  assert.equal(buffer.push(input(1), 12, 10), 'on_time');
+  assert.equal(buffer.take(10), null);
+  assert.equal(buffer.take(11), null);
+  assert.deepEqual(buffer.take(12), input(1));
+  assert.equal(buffer.take(13), null);
+});
+
+test('commands for one tick collapse into the newest, keeping a fire press', () => {
+  const buffer = createInputBuffer();
+  buffer.push(input(1, 4), 11, 10);
+  buffer.push(input(-1), 11, 10);
+  assert.deepEqual(buffer.take(11), { ...input(-1), fire_pressed: true, fire_seq: 4 });
+});
+
+test('a late command is taken on the next tick when nothing newer is queued', () => {
+  const buffer = createInputBuffer();
+  assert.equal(buffer.push(input(1, 7), 8, 10), 'late');
+  assert.deepEqual(buffer.take(10), input(1, 7));
+});
+
+test('a late command behind newer ones only carries its fire press over', () => {
+  const buffer = createInputBuffer();
+  buffer.push(input(1), 11, 10);
+  assert.equal(buffer.push(input(-1, 9), 9, 10), 'late');
+  assert.equal(buffer.take(10), null);
+  assert.deepEqual(buffer.take(11), { ...input(1), fire_pressed: true, fire_seq: 9 });
+  buffer.push(input(0), 12, 12);
+  assert.deepEqual(buffer.take(12), input(0));
+});
+
+test('a command stamped too far ahead is pulled in to maxTicks', () => {
+  const buffer = createInputBuffer({ maxTicks: 4 });
+  assert.equal(buffer.push(input(1), 50, 10), 'early');
+  assert.equal(buffer.take(13), null);
+  assert.deepEqual(buffer.take(14), input(1));
+});
+
+test('a missed tick counts as starved for stamped clients only', () => {
+  const stamped = createInputBuffer();
+  stamped.push(input(1), 10, 10);
+  stamped.take(10);
+  stamped.take(11);
+  assert.equal(stamped.status(11).starved, 1);
+
+  const legacy = createInputBuffer();
+  assert.equal(legacy.push(input(1), undefined, 10), 'on_time');
+  assert.deepEqual(legacy.take(10), input(1));
+  legacy.take(11);
+  assert.equal(legacy.status(11), null);
+});
+
+test('status reports the lead and resets its counters', () => {
+  const buffer = createInputBuffer({ minTicks: 2, maxTicks: 10 });
+  for (let tick = 10; tick < 20; tick++) {
+    buffer.push(input(0), tick + 3, tick);
+    buffer.take(tick);
+  }
+  buffer.push(input(0), 18, 20);
+  const status = buffer.status(20);
+  assert.equal(status.late, 1);
+  assert.equal(status.buffered_ticks, 2);
+  assert.ok(status.lead_ticks > 0 && status.lead_ticks < 3);
+  assert.ok(status.target_ticks >= 2);
+  assert.equal(status.adjust_ticks, Math.round((status.target_ticks - status.lead_ticks) * 10) / 10);
+  assert.equal(buffer.status(20).late, 0);
+});
+
+test('clear drops queued commands and a carried fire press', () => {
+  const buffer = createInputBuffer();
+  buffer.push(input(1), 11, 10);
+  buffer.push(input(0, 3), 5, 10);
+  buffer.clear();
+  assert.equal(buffer.take(11), null);
+  buffer.push(input(-1), 12, 12);
+  assert.deepEqual(buffer.take(12), input(-1));
+});
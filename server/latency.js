@@ -0,0 +1,90 @@
+/**
+ * Latency Tracker - server-timed round trips for one player connection
+ *
+ * The room sends server_ping { id } every so often and the client echoes the
+ * id back in server_pong. The send time never leaves the server, so neither
+ * clock skew nor a client that lies about its timestamps moves the estimate.
+ * Smoothed RTT and its variation follow RFC 6298 (the TCP retransmit timer).
+ *
+ * rewindMs() is the lag compensation the player gets: half the smoothed RTT,
+ * capped at maxRewindMs. pong() flags samples that do not fit (an id that was
+ * never sent or is already answered, a sudden spike, a rewind past the cap)
+ * and shouldLog() rate-limits how often each kind is written to the log.
+ */
+
+const RTT_ALPHA = 1 / 8;
+const RTT_BETA = 1 / 4;
+const MAX_PENDING = 8; // pings in flight; older ones count as lost
+const SPIKE_MARGIN_MS = 50;
+
+export function createLatencyTracker({ maxRewindMs, logEveryMs = 10000 }) {
+  const pending = new Map(); // id -> sent at (ms)
+  const loggedAt = new Map(); // anomaly kind -> last logged at (ms)
+  let nextId = 1;
+  let srttMs = null;
+  let rttVarMs = 0;
+  let lastRttMs = null;
+
+  return {
+    /** Start a round trip; the returned id goes out in server_ping. */
+    ping(now = Date.now()) {
+      const id = nextId++;
+      pending.set(id, now);
+      if (pending.size > MAX_PENDING) pending.delete(pending.keys().next().value);
+      return id;
+    },
+
+    /**
+     * Finish one. Returns { rttMs, anomaly }: rttMs is null when the id is not
+     * in flight; anomaly is null, 'unknown_pong', 'rtt_spike' or 'rewind_capped'.
+     */
+    pong(id, now = Date.now()) {
+      const sentAt = pending.get(id);
+      if (sentAt === undefined) return { rttMs: null, anomaly: 'unknown_pong' };
+      pending.delete(id);
+
+      const rttMs = now - sentAt;
+      let anomaly = null;
+      if (srttMs === null) {
+        srttMs = rttMs;
+        rttVarMs = rttMs / 2;
+      } else {
+        if (rttMs > srttMs + 4 * rttVarMs + SPIKE_MARGIN_MS) anomaly = 'rtt_spike';
+        rttVarMs += (Math.abs(srttMs - rttMs) - rttVarMs) * RTT_BETA;
+        srttMs += (rttMs - srttMs) * RTT_ALPHA;
+      }
+      lastRttMs = rttMs;
+      if (!anomaly && srttMs / 2 > maxRewindMs) anomaly = 'rewind_capped';
+      return { rttMs, anomaly };
+    },
+
+    /** Lag compensation in ms; 0 until the first round trip completes. */
+    rewindMs() {
+      return srttMs === null ? 0 : Math.min(maxRewindMs, Math.round(srttMs / 2));
+    },
+
+    /** One-way latency estimate in ms, or null before the first sample. */
+    oneWayMs() {
+      return srttMs === null ? null : srttMs / 2;
+    },
+
+    status() {
+      return {
+        rtt_ms: srttMs === null ? null : round(srttMs),
+        rtt_var_ms: srttMs === null ? null : round(rttVarMs),
+        last_rtt_ms: lastRttMs,
+      };
+    },
+
+    /** True at most once per logEveryMs for each anomaly kind. */
+    shouldLog(kind, now = Date.now()) {
+      if (now - (loggedAt.get(kind) ?? -Infinity) < logEveryMs) return false;
+      loggedAt.set(kind, now);
+      return true;
+    },
+  };
+}
+
+function round(ms) {
+  return Math.round(ms * 10) / 10;
+}
@@ -0,0 +1,119 @@
+/**
+ * Matchmaking Queue - pairing queued players into rooms
+ *
+ * Players queue with the room settings from their token, a rating and a
+ * region, and only match others who asked for the same settings. The rating
+ * window starts at baseWindow and widens the longer a player waits; after
+ * regionRelaxMs they will also match outside their region. A match is a
+ * group of minPlayers..maxPlayers entries; server.js reserves a room for it.
+ */
+
+export function createQueue({ baseWindow, windowGrowthPerSec, maxWindow, regionRelaxMs }) {
+  return {
+    baseWindow,
+    windowGrowthPerSec,
+    maxWindow,
+    regionRelaxMs,
+    entries: new Map(), // userId -> { userId, sessionId, serviceId, settings, rating, region, joinedAt }
+  };
+}
+
+/** Queue a player, replacing any earlier entry of theirs. */
+export function enqueue(queue, entry) {
+  queue.entries.set(entry.userId, { ...entry, bucket: bucketKey(entry) });
+}
+
+export function dequeue(queue, userId) {
+  const entry = queue.entries.get(userId) || null;
+  queue.entries.delete(userId);
+  return entry;
+}
+
+export function ratingWindow(queue, entry, now) {
+  const waitedSec = Math.max(0, now - entry.joinedAt) / 1000;
+  return Math.min(queue.maxWindow, queue.baseWindow + queue.windowGrowthPerSec * waitedSec);
+}
+
+/**
+ * Take every match that can be made right now out of the queue. The player
+ * who has waited longest anchors a group and picks the closest ratings first.
+ */
+export function findMatches(queue, now) {
+  const buckets = new Map();
+  for (const entry of queue.entries.values()) {
+    if (!buckets.has(entry.bucket)) buckets.set(entry.bucket, []);
+    buckets.get(entry.bucket).push(entry);
+  }
+
+  const matches = [];
+  for (const pool of buckets.values()) {
+    pool.sort((a, b) => a.joinedAt - b.joinedAt);
+    const { minPlayers, maxPlayers } = pool[0].settings;
+    const taken = new Set();
+
+    for (const anchor of pool) {
+      if (taken.has(anchor.userId)) continue;
+      const candidates = pool
+        .filter((e) => e !== anchor && !taken.has(e.userId) && compatible(queue, anchor, e, now))
+        .sort((a, b) => Math.abs(a.rating - anchor.rating) - Math.abs(b.rating - anchor.rating));
+      const group = [anchor];
+      for (const candidate of candidates) {
+        if (group.length >= maxPlayers) break;
+        if (group.every((member) => compatible(queue, member, candidate, now))) group.push(candidate);
+      }
+      if (group.length < minPlayers) continue;
+
+      for (const member of group) {
+        taken.add(member.userId);
+        queue.entries.delete(member.userId);
+      }
+      matches.push({ serviceId: anchor.serviceId, settings: anchor.settings, entries: group });
+    }
+  }
+  return matches;
+}
+
+export function status(queue, userId, now) {
+  const entry = queue.entries.get(userId);
+  if (!entry) return null;
+  const bucket = [...queue.entries.values()]
+    .filter((e) => e.bucket === entry.bucket)
+    .sort((a, b) => a.joinedAt - b.joinedAt);
+  return {
+    state: 'queued',
+    position: bucket.indexOf(entry) + 1,
+    queue_size: bucket.length,
+    waited_ms: now - entry.joinedAt,
+    rating: entry.rating,
+    rating_window: Math.round(ratingWindow(queue, entry, now)),
+    region: entry.region,
+    any_region: now - entry.joinedAt >= queue.regionRelaxMs,
+    mode: entry.settings.mode,
+  };
+}
+
+/**
+ * Split a team-mode group into even sides by rating, snake-draft style
+ * (A B B A A B ...), so neither side gets all the top players.
+ */
+export function splitTeams(entries, teamIds) {
+  const ordered = [...entries].sort((a, b) => b.rating - a.rating);
+  const teams = {};
+  ordered.forEach((entry, i) => {
+    const lap = Math.floor(i / teamIds.length);
+    const pos = i % teamIds.length;
+    teams[entry.userId] = teamIds[lap % 2 === 0 ? pos : teamIds.length - 1 - pos];
+  });
+  return teams;
+}
+
+function compatible(queue, a, b, now) {
+  const window = Math.max(ratingWindow(queue, a, now), ratingWindow(queue, b, now));
+  if (Math.abs(a.rating - b.rating) > window) return false;
+  if (a.region === b.region) return true;
+  return now - a.joinedAt >= queue.regionRelaxMs || now - b.joinedAt >= queue.regionRelaxMs;
+}
+
+function bucketKey(entry) {
+  return `${entry.serviceId || ''}|${JSON.stringify(entry.settings)}`;
+}
@@ -0,0 +1,125 @@
+/**
+ * Server Metrics - Prometheus text exposition without dependencies
+ *
+ * One process-wide registry. Counters and histograms are updated where the
+ * work happens; gauges that describe current state (rooms, sessions, queue)
+ * take a collect callback and are read at scrape time. render() produces the
+ * text format served on /metrics.
+ */
+
+const registry = new Map(); // name -> metric
+
+export function counter(name, help, labelNames = []) {
+  const values = new Map(); // label key -> { labels, value }
+  const metric = {
+    name,
+    help,
+    type: 'counter',
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labelNames, labels);
+      const entry = values.get(key) || { labels: pick(labelNames, labels), value: 0 };
+      entry.value += amount;
+      values.set(key, entry);
+    },
+    samples: () => [...values.values()].map(({ labels, value }) => [name, labels, value]),
+  };
+  registry.set(name, metric);
+  return metric;
+}
+
+/** collect() returns [[labels, value], ...] for the current state. */
+export function gauge(name, help, collect) {
+  const metric = {
+    name,
+    help,
+    type: 'gauge',
+    samples: () => collect().map(([labels, value]) => [name, labels, value]),
+  };
+  registry.set(name, metric);
+  return metric;
+}
+
+export function histogram(name, help, buckets, labelNames = []) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const series = new Map(); // label key -> { labels, counts, sum, count }
+  const metric = {
+    name,
+    help,
+    type: 'histogram',
+    observe(labels, value) {
+      if (typeof labels === 'number') {
+        value = labels;
+        labels = {};
+      }
+      const key = labelKey(labelNames, labels);
+      let s = series.get(key);
+      if (!s) {
+        s = { labels: pick(labelNames, labels), counts: bounds.map(() => 0), sum: 0, count: 0 };
+        series.set(key, s);
+      }
+      for (let i = 0; i < bounds.length; i++) {
+        if (value <= bounds[i]) s.counts[i] += 1;
+      }
+      s.sum += value;
+      s.count += 1;
+    },
+    samples: () => {
+      const out = [];
+      for (const s of series.values()) {
+        bounds.forEach((le, i) => out.push([`${name}_bucket`, { ...s.labels, le: String(le) }, s.counts[i]]));
+        out.push([`${name}_bucket`, { ...s.labels, le: '+Inf' }, s.count]);
+        out.push([`${name}_sum`, s.labels, s.sum]);
+        out.push([`${name}_count`, s.labels, s.count]);
+      }
+      return out;
+    },
+  };
+  registry.set(name, metric);
+  return metric;
+}
+
+export function render() {
+  const lines = [];
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    let samples = [];
+    try {
+      samples = metric.samples();
+    } catch (err) {
+      console.error('[METRICS] collect failed', metric.name, err?.message || err);
+    }
+    for (const [sampleName, labels, value] of samples) {
+      lines.push(`${sampleName}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function pick(labelNames, labels) {
+  const out = {};
+  for (const label of labelNames) out[label] = String(labels?.[label] ?? '');
+  return out;
+}
+
+function labelKey(labelNames, labels) {
+  return labelNames.map((label) => String(labels?.[label] ?? '')).join('\u0000');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {});
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
@@ -0,0 +1,275 @@
+/**
+ * Result Outbox - durable, retried delivery of match result webhooks
+ *
+ * Every result is written to <dir>/pending/<key>.json before the first send
+ * and removed once the API accepts it, so a crash or an API outage loses
+ * nothing: pending entries are picked up again on start. Failed sends back
+ * off exponentially (with jitter). After maxAttempts, or on a response that
+ * will not change on retry (4xx other than 408/429), the entry moves to
+ * <dir>/dead/ for an operator to inspect and requeue.
+ *
+ * The key is the webhook's idempotency key, so a retry of a send that did
+ * reach the API is answered as a duplicate instead of recorded twice.
+ *
+ * CLI: node server/outbox.js [dir] list | show <key> | retry <key>
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const JITTER = 0.2;
+const FLUSH_RETRY_MS = 1000;
+
+export function createOutbox({ dir, deliver, baseDelayMs = 2000, maxDelayMs = 300000, maxAttempts = 10 }) {
+  const pendingDir = path.join(dir, 'pending');
+  const deadDir = path.join(dir, 'dead');
+  const entries = new Map(); // key -> { key, job, attempts, created_at, next_attempt_at, last_error, last_status }
+  let timer = null;
+  let pumping = false;
+  let stopped = false;
+  let flushing = false;
+  let deadLettered = 0;
+
+  const backoffMs = (attempts) => {
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+    return Math.round(delay * (1 - JITTER + Math.random() * JITTER * 2));
+  };
+
+  function schedule() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    if (stopped || pumping || entries.size === 0) return;
+    const due = Math.min(...[...entries.values()].map((e) => e.next_attempt_at));
+    timer = setTimeout(pump, Math.max(0, due - Date.now()));
+  }
+
+  async function pump() {
+    timer = null;
+    if (pumping) return;
+    pumping = true;
+    try {
+      for (const entry of [...entries.values()]) {
+        if (stopped) break;
+        if (entry.next_attempt_at <= Date.now()) await attempt(entry);
+      }
+    } finally {
+      pumping = false;
+      schedule();
+    }
+  }
+
+  async function attempt(entry) {
+    entry.attempts += 1;
+    try {
+      await deliver(entry.job, entry.key);
+    } catch (err) {
+      entry.last_error = String(err?.message || err);
+      entry.last_status = Number.isFinite(err?.status) ? err.status : null;
+      // While flushing for shutdown an exhausted entry stays pending for the next start.
+      if (isPermanent(entry.last_status) || (entry.attempts >= maxAttempts && !flushing)) {
+        await deadLetter(entry);
+        return;
+      }
+      const delayMs = flushing ? FLUSH_RETRY_MS : backoffMs(entry.attempts);
+      entry.next_attempt_at = Date.now() + delayMs;
+      console.warn(`[OUTBOX] ${entry.key} attempt ${entry.attempts}/${maxAttempts} failed (${entry.last_error}); retry in ${delayMs}ms`);
+      try {
+        await persist(pendingDir, entry);
+      } catch (err) {
+        // Still retried; the file on disk just keeps the previous attempt count.
+        console.error('[OUTBOX] could not persist', entry.key, err?.message || err);
+      }
+      return;
+    }
+
+    // Delivered: a leftover pending file would only be resent and answered as a duplicate.
+    entries.delete(entry.key);
+    if (entry.attempts > 1) console.log(`[OUTBOX] delivered ${entry.key} after ${entry.attempts} attempts`);
+    await fs.rm(entryFile(pendingDir, entry.key), { force: true }).catch((err) => {
+      console.error('[OUTBOX] could not remove delivered', entry.key, err?.message || err);
+    });
+  }
+
+  async function deadLetter(entry) {
+    entries.delete(entry.key);
+    deadLettered += 1;
+    entry.dead_at = new Date().toISOString();
+    try {
+      await persist(deadDir, entry);
+      await fs.rm(entryFile(pendingDir, entry.key), { force: true });
+    } catch (err) {
+      // Whatever is left in pending is tried again on the next start.
+      console.error('[OUTBOX] could not dead-letter', entry.key, err?.message || err);
+    }
+    console.error(
+      `[OUTBOX] dead-lettered ${entry.key} room=${entry.job.roomId} after ${entry.attempts} attempt(s): ${entry.last_error}`
+    );
+  }
+
+  return {
+    /** Load what an earlier run left pending and start sending it. */
+    async start() {
+      await fs.mkdir(pendingDir, { recursive: true });
+      await fs.mkdir(deadDir, { recursive: true });
+      for (const entry of await readEntries(pendingDir)) {
+        entry.next_attempt_at = Date.now();
+        entries.set(entry.key, entry);
+      }
+      if (entries.size > 0) console.log(`[OUTBOX] resuming ${entries.size} pending result(s)`);
+      schedule();
+    },
+
+    /** Store the job and send it. A key that is already pending is ignored. */
+    async enqueue(key, job) {
+      if (entries.has(key)) return;
+      const entry = {
+        key,
+        job,
+        attempts: 0,
+        created_at: new Date().toISOString(),
+        next_attempt_at: Date.now(),
+        last_error: null,
+        last_status: null,
+      };
+      entries.set(key, entry);
+      try {
+        await persist(pendingDir, entry);
+      } catch (err) {
+        // Still send it; it just would not survive a restart.
+        console.error('[OUTBOX] could not persist', key, err?.message || err);
+      }
+      schedule();
+    },
+
+    /** Move a dead letter back to pending and try it again now. */
+    async retryDead(key) {
+      const entry = await requeueDeadLetter(dir, key);
+      entries.set(key, entry);
+      schedule();
+      return entry;
+    },
+
+    listDead() {
+      return listDeadLetters(dir);
+    },
+
+    /**
+     * Send everything pending now, retrying about once a second until the
+     * outbox is empty or timeoutMs passes. Resolves to the number still
+     * pending; those stay on disk for the next start.
+     */
+    async flush(timeoutMs) {
+      const deadline = Date.now() + timeoutMs;
+      flushing = true;
+      try {
+        for (const entry of entries.values()) entry.next_attempt_at = Date.now();
+        while (entries.size > 0 && !stopped && Date.now() < deadline) {
+          await pump();
+          if (entries.size > 0) await sleep(Math.min(FLUSH_RETRY_MS, Math.max(0, deadline - Date.now())));
+        }
+      } finally {
+        flushing = false;
+      }
+      return entries.size;
+    },
+
+    stats() {
+      return { pending: entries.size, dead_lettered: deadLettered };
+    },
+
+    stop() {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+      timer = null;
+    },
+  };
+}
+
+export function listDeadLetters(dir) {
+  return readEntries(path.join(dir, 'dead'));
+}
+
+/** Reset a dead letter's attempts and put it back in pending. */
+export async function requeueDeadLetter(dir, key) {
+  const deadFile = entryFile(path.join(dir, 'dead'), key);
+  const entry = JSON.parse(await fs.readFile(deadFile, 'utf-8'));
+  entry.attempts = 0;
+  entry.next_attempt_at = Date.now();
+  delete entry.dead_at;
+  await persist(path.join(dir, 'pending'), entry);
+  await fs.rm(deadFile, { force: true });
+  return entry;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function isPermanent(status) {
+  return status !== null && status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+function entryFile(dir, key) {
+  return path.join(dir, `${String(key).replace(/[^A-Za-z0-9_-]/g, '_')}.json`);
+}
+
+/** Write-then-rename so a crash never leaves half a file behind. */
+async function persist(dir, entry) {
+  await fs.mkdir(dir, { recursive: true });
+  const file = entryFile(dir, entry.key);
+  const tmp = `${file}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(entry));
+  await fs.rename(tmp, file);
+}
+
+async function readEntries(dir) {
+  let names = [];
+  try {
+    names = (await fs.readdir(dir)).filter((name) => name.endsWith('.json'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const out = [];
+  for (const name of names) {
+    try {
+      out.push(JSON.parse(await fs.readFile(path.join(dir, name), 'utf-8')));
+    } catch (err) {
+      console.error('[OUTBOX] unreadable entry', name, err?.message || err);
+    }
+  }
+  return out.sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+}
+
+const COMMANDS = ['list', 'show', 'retry'];
+
+async function main(args) {
+  const [dir, command = 'list', key] = COMMANDS.includes(args[0]) ? ['outbox', ...args] : args.length ? args : ['outbox'];
+  if (command === 'list') {
+    const dead = await listDeadLetters(dir);
+    const pending = await readEntries(path.join(dir, 'pending'));
+    console.log(`[OUTBOX] ${dir}: ${pending.length} pending, ${dead.length} dead`);
+    for (const e of dead) {
+      console.log(`  dead ${e.key} room=${e.job?.roomId} attempts=${e.attempts} status=${e.last_status ?? '-'} at=${e.dead_at} error=${e.last_error}`);
+    }
+    return;
+  }
+  if (!key) throw new Error(`usage: node server/outbox.js [dir] ${command} <key>`);
+  if (command === 'show') {
+    console.log(JSON.stringify(JSON.parse(await fs.readFile(entryFile(path.join(dir, 'dead'), key), 'utf-8')), null, 2));
+    return;
+  }
+  if (command === 'retry') {
+    await requeueDeadLetter(dir, key);
+    console.log(`[OUTBOX] ${key} moved back to pending; a running server sends it on its next start`);
+    return;
+  }
+  throw new Error(`Unknown command ${command}`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error('[OUTBOX] failed', err?.message || err);
+    process.exit(1);
+  });
+}
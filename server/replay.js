@@ -0,0 +1,228 @@
+/**
+ * Match Replays - input-log recording and re-simulation
+ *
+ * A replay holds, per round, the seed, the player ids and Game options, and
+ * for every server tick its dt plus the ops that happened before it (accepted
+ * inputs, freezes, forfeits, eliminations, forced ends). Re-running those
+ * through Game.initState/applyInput/tick reproduces the match. Files are
+ * gzipped JSON.
+ *
+ * CLI: node server/replay.js <file.replay.json.gz>
+ */
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { gzipSync, gunzipSync } from 'zlib';
+import * as Game from './game.js';
+
+export const REPLAY_VERSION = 1;
+
+// Op codes (first element of each op array).
+const OP_INPUT = 'i'; // [i, playerId, turn, thrust, fire, firePressed, fireSeq, lagCompMs]
+const OP_FREEZE = 'f'; // [f, playerId, frozen]
+const OP_FORFEIT = 'x'; // [x, playerId]
+const OP_ELIMINATE = 'e'; // [e, playerId]
+const OP_END = 'end'; // [end, winnerIds, reason]
+
+export function createRecorder({ roomId, matchIndex = 0 }) {
+  const replay = {
+    v: REPLAY_VERSION,
+    room_id: roomId,
+    match_index: matchIndex,
+    started_at: new Date().toISOString(),
+    ended_at: null,
+    rounds: [],
+  };
+  let round = null;
+  let pending = [];
+
+  return {
+    startRound({ seed, playerIds, options }) {
+      round = { seed, player_ids: [...playerIds], options, ticks: [], tail: [], result: null };
+      pending = [];
+      replay.rounds.push(round);
+    },
+
+    input(playerId, input) {
+      pending.push([
+        OP_INPUT,
+        playerId,
+        Number(input.turn || 0),
+        Number(input.thrust || 0),
+        input.fire ? 1 : 0,
+        input.fire_pressed ? 1 : 0,
+        Number.isFinite(Number(input.fire_seq)) ? Number(input.fire_seq) : null,
+        Number(input.lag_comp_ms || 0),
+      ]);
+    },
+
+    freeze(playerId, frozen) {
+      pending.push([OP_FREEZE, playerId, frozen ? 1 : 0]);
+    },
+
+    forfeit(playerId) {
+      pending.push([OP_FORFEIT, playerId]);
+    },
+
+    eliminate(playerId) {
+      pending.push([OP_ELIMINATE, playerId]);
+    },
+
+    endMatch(winnerIds, reason) {
+      pending.push([OP_END, [...winnerIds], reason]);
+    },
+
+    /** Called once per server tick, before the inputs are applied. */
+    tick(dtMs) {
+      if (!round) return;
+      round.ticks.push(pending.length > 0 ? [dtMs, pending] : [dtMs]);
+      pending = [];
+    },
+
+    endRound(state, terminal) {
+      if (!round) return;
+      round.tail = pending;
+      round.result = {
+        winner_ids: [...(terminal.winnerIds || [])],
+        reason: terminal.reason,
+        final_tick: state.tick,
+        digest: stateDigest(state),
+      };
+      pending = [];
+      round = null;
+    },
+
+    finish() {
+      replay.ended_at = new Date().toISOString();
+      return replay;
+    },
+  };
+}
+
+export async function writeReplay(dir, replay) {
+  await fs.mkdir(dir, { recursive: true });
+  const stamp = replay.started_at.replace(/[:.]/g, '-');
+  const safeRoom = String(replay.room_id).replace(/[^A-Za-z0-9_-]/g, '_');
+  const file = path.join(dir, `${safeRoom}-${replay.match_index}-${stamp}.replay.json.gz`);
+  await fs.writeFile(file, gzipSync(Buffer.from(JSON.stringify(replay), 'utf-8')));
+  return file;
+}
+
+export async function loadReplay(file) {
+  const replay = JSON.parse(gunzipSync(await fs.readFile(file)).toString('utf-8'));
+  if (replay.v !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${replay.v}`);
+  return replay;
+}
+
+/**
+ * Re-run one recorded round the way RoomRuntime does: inputs are sticky per
+ * player, every input is applied each tick and fire_pressed is one-shot.
+ */
+export function simulateRound(round) {
+  const state = Game.initState(round.player_ids, round.seed, round.options);
+  const latestInput = new Map();
+
+  const applyOps = (ops) => {
+    for (const op of ops || []) {
+      switch (op[0]) {
+        case OP_INPUT:
+          latestInput.set(op[1], {
+            turn: op[2],
+            thrust: op[3],
+            fire: op[4] === 1,
+            fire_pressed: op[5] === 1,
+            fire_seq: op[6],
+            lag_comp_ms: op[7],
+          });
+          break;
+        case OP_FREEZE:
+          Game.setPlayerFrozen(state, op[1], op[2] === 1);
+          break;
+        case OP_FORFEIT:
+          Game.forfeit(state, op[1]);
+          break;
+        case OP_ELIMINATE:
+          Game.eliminate(state, op[1]);
+          break;
+        case OP_END:
+          Game.endMatch(state, op[1], op[2]);
+          break;
+        default:
+          throw new Error(`Unknown replay op ${op[0]}`);
+      }
+    }
+  };
+
+  for (const [dtMs, ops] of round.ticks) {
+    applyOps(ops);
+    for (const [pid, input] of latestInput.entries()) {
+      Game.applyInput(state, pid, input);
+      input.fire_pressed = false;
+    }
+    Game.tick(state, dtMs);
+  }
+  applyOps(round.tail);
+
+  return { state, terminal: Game.isTerminal(state) };
+}
+
+/** Re-simulate every round and compare against what the server recorded. */
+export function verifyReplay(replay) {
+  return replay.rounds.map((round, i) => {
+    const { state, terminal } = simulateRound(round);
+    const expected = round.result;
+    const actual = {
+      winner_ids: [...(terminal.winnerIds || [])],
+      reason: terminal.reason || null,
+      final_tick: state.tick,
+      digest: stateDigest(state),
+    };
+    const ok = Boolean(expected) &&
+      expected.digest === actual.digest &&
+      expected.final_tick === actual.final_tick &&
+      expected.reason === actual.reason &&
+      sameIds(expected.winner_ids, actual.winner_ids);
+    return { round: i + 1, ok, expected, actual };
+  });
+}
+
+/**
+ * Hash of the whole simulation state. The simulation is deterministic, so a
+ * faithful re-run matches bit for bit.
+ */
+export function stateDigest(state) {
+  return crypto.createHash('sha256').update(JSON.stringify(state)).digest('hex');
+}
+
+function sameIds(a, b) {
+  const as = [...(a || [])].sort();
+  const bs = [...(b || [])].sort();
+  return as.length === bs.length && as.every((x, i) => x === bs[i]);
+}
+
+async function main(file) {
+  if (!file) {
+    console.error('usage: node server/replay.js <file.replay.json.gz>');
+    process.exit(2);
+  }
+  const replay = await loadReplay(file);
+  console.log(`[REPLAY] room=${replay.room_id} match=${replay.match_index} rounds=${replay.rounds.length}`);
+  let allOk = true;
+  for (const r of verifyReplay(replay)) {
+    allOk = allOk && r.ok;
+    console.log(
+      `[REPLAY] round ${r.round}: ${r.ok ? 'OK' : 'MISMATCH'} ` +
+      `winners=${r.actual.winner_ids.join(',') || '-'} reason=${r.actual.reason} tick=${r.actual.final_tick}` +
+      (r.ok ? '' : ` (recorded winners=${(r.expected?.winner_ids || []).join(',') || '-'} reason=${r.expected?.reason} tick=${r.expected?.final_tick})`)
+    );
+  }
+  process.exit(allOk ? 0 : 1);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  main(process.argv[2]).catch((err) => {
+    console.error('[REPLAY] failed', err?.message || err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,125 @@
+/**
+ * Round Series - best-of-N bookkeeping for one room
+ *
+ * A series is a run of rounds, each a fresh Game state. Round wins are scored
+ * per side: the player id in duel/FFA, the team id in team mode. Players who
+ * forfeit or leave for good sit out the remaining rounds; the series stops
+ * early once fewer than two sides are left.
+ */
+
+export function createSeries(bestOf, playerIds, sideByPlayer = {}) {
+  const sides = {};
+  for (const pid of playerIds) sides[pid] = String(sideByPlayer[pid] ?? pid);
+  return {
+    bestOf,
+    winsNeeded: Math.floor(bestOf / 2) + 1,
+    round: 1,
+    participants: [...playerIds],
+    sides,
+    score: Object.fromEntries([...new Set(Object.values(sides))].map((side) => [side, 0])),
+    rounds: [],
+    quitters: new Set(),
+  };
+}
+
+/**
+ * Store a finished round. A round scores only when all of its winners are on
+ * one side; draws score nothing.
+ */
+export function recordRound(series, { winnerIds, reason, ranking, finalStats }) {
+  const winningSides = [...new Set(winnerIds.map((pid) => series.sides[pid]).filter(Boolean))];
+  if (winningSides.length === 1) series.score[winningSides[0]] += 1;
+  series.rounds.push({
+    round: series.round,
+    winner_ids: [...winnerIds],
+    reason,
+    ranking: [...(ranking || [])],
+    final_stats: finalStats,
+  });
+}
+
+export function quit(series, playerId) {
+  series.quitters.add(playerId);
+}
+
+/** Participants still in the series among the given present player ids. */
+export function roster(series, presentIds) {
+  const present = new Set(presentIds);
+  return series.participants.filter((pid) => present.has(pid) && !series.quitters.has(pid));
+}
+
+export function isOver(series, rosterIds) {
+  if (sidesOf(series, rosterIds).length < 2) return true;
+  if (series.rounds.length >= series.bestOf) return true;
+  return Object.values(series.score).some((wins) => wins >= series.winsNeeded);
+}
+
+/**
+ * Stopped early: whoever is still in wins. Otherwise the side(s) with the
+ * most round wins, or nobody if no round was decided.
+ */
+export function winners(series, rosterIds) {
+  const remainingSides = sidesOf(series, rosterIds);
+  if (remainingSides.length < 2) return [...rosterIds];
+  const top = Math.max(...Object.values(series.score));
+  if (top <= 0) return [];
+  return series.participants.filter((pid) => series.score[series.sides[pid]] === top);
+}
+
+/**
+ * Stats for the result submission: per-player totals over all rounds (plus
+ * per-team totals in team mode) and the per-round breakdown.
+ */
+export function finalStats(series, { teamMode = false } = {}) {
+  const out = {};
+  for (const pid of series.participants) {
+    out[pid] = { kills: 0, deaths: 0, damageDealt: 0, pickups: 0, rounds_won: series.score[series.sides[pid]] };
+    if (teamMode) out[pid].team_id = series.sides[pid];
+  }
+  for (const round of series.rounds) {
+    for (const pid of series.participants) {
+      const stats = round.final_stats?.[pid];
+      if (stats) addStats(out[pid], stats);
+    }
+  }
+
+  const ordered = [...series.participants].sort((a, b) => out[b].rounds_won - out[a].rounds_won);
+  for (const pid of series.participants) {
+    out[pid].placement = ordered.findIndex((other) => out[other].rounds_won === out[pid].rounds_won) + 1;
+  }
+
+  if (teamMode) {
+    out.teams = {};
+    for (const pid of series.participants) {
+      const side = series.sides[pid];
+      if (!out.teams[side]) {
+        out.teams[side] = {
+          players: [],
+          kills: 0,
+          deaths: 0,
+          damageDealt: 0,
+          pickups: 0,
+          rounds_won: series.score[side],
+          placement: out[pid].placement,
+        };
+      }
+      out.teams[side].players.push(pid);
+      addStats(out.teams[side], out[pid]);
+    }
+  }
+
+  out.rounds = series.rounds;
+  out.series = { best_of: series.bestOf, score: { ...series.score } };
+  return out;
+}
+
+function sidesOf(series, playerIds) {
+  return [...new Set(playerIds.map((pid) => series.sides[pid]))];
+}
+
+function addStats(into, stats) {
+  into.kills += Number(stats.kills || 0);
+  into.deaths += Number(stats.deaths || 0);
+  into.damageDealt += Number(stats.damageDealt || 0);
+  into.pickups += Number(stats.pickups || 0);
+}
@@ -6,12 +6,12 @@
 import crypto from 'crypto';
 import fetch from 'node-fetch';
 
-function buildCanonicalString(timestamp, method, path, bodyBytes) {
+export function buildCanonicalString(timestamp, method, path, bodyBytes) {
   const bodyHash = crypto.createHash('sha256').update(bodyBytes).digest('hex');
   return `${timestamp}\n${method.toUpperCase()}\n${path}\n${bodyHash}`;
 }
 
-function computeSignature(secret, canonical) {
+export function computeSignature(secret, canonical) {
   return crypto.createHmac('sha256', secret).update(canonical).digest('hex');
 }
 
@@ -24,12 +24,15 @@ export async function submitMatchResult({
   sessionId,
   winnerIds,
   participants,
+  botIds = [],
   reason = 'completed',
   finalStats = {},
+  endedAt = new Date().toISOString(),
+  idempotencyKey = crypto.randomUUID(),
+  timeoutMs = 10000,
 }) {
   const path = '/games/direct/results';
   const endpoint = `${apiUrl.replace(/\/$/, '')}${path}`;
-  const idempotencyKey = crypto.randomUUID();
   const timestamp = String(Math.floor(Date.now() / 1000));
 
   const body = {
@@ -40,8 +43,9 @@ export async function submitMatchResult({
     participants,
     reason,
     final_stats: finalStats,
-    ended_at: new Date().toISOString(),
+    ended_at: endedAt,
   };
+  if (botIds.length > 0) body.bot_ids = botIds;
   const bodyBytes = Buffer.from(JSON.stringify(body), 'utf-8');
 
   const canonical = buildCanonicalString(timestamp, 'POST', path, bodyBytes);
@@ -56,18 +60,32 @@ export async function submitMatchResult({
     'X-Idempotency-Key': idempotencyKey,
   };
 
-  const response = await fetch(endpoint, {
-    method: 'POST',
-    headers,
-    body: bodyBytes,
-  });
+  // The timeout covers reading the body too. An abort carries no status, so
+  // the outbox retries it like any other network failure.
+  let response;
+  let result;
+  try {
+    response = await fetch(endpoint, {
+      method: 'POST',
+      headers,
+      body: bodyBytes,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
 
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`Webhook failed (${response.status}): ${text}`);
-  }
+    if (!response.ok) {
+      const text = await response.text();
+      const err = new Error(`Webhook failed (${response.status}): ${text}`);
+      err.status = response.status;
+      throw err;
+    }
 
-  const result = await response.json();
+    result = await response.json();
+  } catch (err) {
+    if (err?.name === 'AbortError' || err?.name === 'TimeoutError') {
+      throw new Error(`Webhook timed out after ${timeoutMs}ms`);
+    }
+    throw err;
+  }
   console.log('[WEBHOOK] Match result submitted:', {
     roomId,
     matchId: result.match_id,
@@ -0,0 +1,486 @@
+/**
+ * Binary Wire Format - compact state frames for the direct socket
+ *
+ * A client that joins with { wire: 'binary' } gets state_snapshot and
+ * state_delta as binary WebSocket frames instead of JSON; every other message
+ * stays JSON. A frame decodes to exactly the payload the JSON path sends,
+ * minus room_id/protocol_version and the NET_PROFILE fields, which the client
+ * already has from `joined`.
+ *
+ * Encoding:
+ *   - integers are LEB128 varints (zigzag for signed values)
+ *   - positions, velocities, angles and the other game numbers are quantized
+ *     to the STATE_PRECISION grid (1e-4) the simulation already rounds to;
+ *     values it does not round (hp after laser damage, timers) go through
+ *     quantize() on the JSON path as well, so both formats carry the same
+ *     numbers
+ *   - players are addressed by their slot; a player's id travels only when
+ *     it first appears (every snapshot), and later frames reuse the slot
+ *     table built from it
+ *   - players and projectiles carry a field mask, so a delta patch costs
+ *     only the fields buildDelta found changed
+ *   - projectile, pickup and effect ids travel as their numeric parts and
+ *     are rebuilt on decode; ids of any other shape are sent as strings
+ *   - known enum strings (phase, pickup/effect/weapon types) are one byte
+ *
+ * Frame: u8 version, u8 kind (1 snapshot, 2 delta), varint server_tick,
+ * varint server_ts, varint network_tick, acks, then the state (snapshot) or
+ * the distance back to base_network_tick and the delta sections flagged in
+ * one byte. decodeStateFrame mirrors the SDK's decoder in
+ * public/usion-sdk.js; the two must change together.
+ */
+
+export const WIRE_VERSION = 3;
+export const WIRE_BINARY = 'binary';
+export const WIRE_JSON = 'json';
+
+const PRECISION = 10000;
+const KIND_SNAPSHOT = 1;
+const KIND_DELTA = 2;
+
+// Delta section flags.
+const HAS_PHASE = 1;
+const HAS_TICK = 2;
+const HAS_REMAINING = 4;
+const HAS_PLAYERS = 8;
+const HAS_PROJECTILES = 16;
+const HAS_PICKUPS = 32;
+const HAS_EFFECTS = 64;
+const HAS_REMOVED = 128;
+
+// Masked fields: bit i of an entity's mask says FIELDS[i] follows. The most
+// frequently changing fields come first so a typical delta mask is one byte.
+const PLAYER_FIELDS = [
+  ['x', 'q'], ['y', 'q'], ['vx', 'q'], ['vy', 'q'], ['angle', 'q'], ['laserActiveMs', 'q'], ['hp', 'q'],
+  ['shield', 'q'], ['alive', 'bool'], ['frozen', 'bool'], ['weaponLevel', 'q'], ['specialUses', 'q'],
+  ['specialWeapon', 'item'], ['teamId', 'string'],
+];
+const PLAYER_NEW = 1 << PLAYER_FIELDS.length; // id follows the mask
+const PROJECTILE_FIELDS = [
+  ['x', 'q'], ['y', 'q'], ['ttlMs', 'q'], ['vx', 'q'], ['vy', 'q'], ['ownerId', 'owner'], ['fireSeq', 'uint'], ['isBomb', 'bool'],
+];
+
+// Projectile id flags.
+const ID_BOMB = 1;
+const ID_RAW = 4;
+
+const ENUM_NULL = 0xfe;
+const ENUM_RAW = 0xff;
+const PHASES = ['playing', 'finished'];
+const ITEM_TYPES = ['laser', 'bomb', 'nova', 'explosion']; // pickups, special weapons and effects
+const NO_SLOT = 0xff;
+
+const PROJECTILE_ID = /^(bomb:)?(\d+):(.*):(\d+)$/;
+const INDEXED_ID = /^(pu|fx):(\d+):(\d+)$/; // pickups and effects
+
+/** v on the STATE_PRECISION grid, as a 'q' field decodes. */
+export function quantize(v) {
+  return Math.round(Number(v || 0) * PRECISION) / PRECISION;
+}
+
+/** True when the client asked for binary frames in its join payload. */
+export function wantsBinary(joinPayload) {
+  return joinPayload?.wire === WIRE_BINARY;
+}
+
+/**
+ * type is state_snapshot or state_delta; payload is what the JSON path sends
+ * and networkState the full state it was built from (for player slots).
+ * Returns a Buffer.
+ */
+export function encodeStateFrame(type, payload, networkState) {
+  const w = createWriter();
+  const snapshot = type === 'state_snapshot';
+  const state = snapshot ? payload.full_state : null;
+  const slots = slotTable(networkState);
+
+  w.u8(WIRE_VERSION);
+  w.u8(snapshot ? KIND_SNAPSHOT : KIND_DELTA);
+  w.uvar(payload.server_tick);
+  w.uvar(payload.server_ts);
+  w.uvar(payload.network_tick);
+
+  const acks = Object.entries(payload.ack_seq_by_player || {}).filter(([pid]) => slots.has(pid));
+  w.uvar(acks.length);
+  for (const [pid, seq] of acks) {
+    w.u8(slots.get(pid));
+    w.uvar(seq);
+  }
+
+  if (snapshot) {
+    w.enumOf(PHASES, state.phase);
+    w.uvar(state.tick);
+    w.q(state.remainingMs);
+    writePlayers(w, state.players || {}, slots);
+    writeList(w, state.projectiles, (pr) => writeProjectile(w, pr, slots));
+    writeList(w, state.pickups, (pu) => writePickup(w, pu));
+    writeList(w, state.effects, (fx) => writeEffect(w, fx, slots));
+    return w.finish();
+  }
+
+  const changed = payload.changed_entities || {};
+  const removed = payload.removed_entities || {};
+  const hasRemoved = ['projectiles', 'pickups', 'effects'].some((kind) => removed[kind]?.length > 0);
+  w.uvar(payload.network_tick - payload.base_network_tick);
+  let flags = 0;
+  if (changed.phase !== undefined) flags |= HAS_PHASE;
+  if (changed.tick !== undefined) flags |= HAS_TICK;
+  if (changed.remainingMs !== undefined) flags |= HAS_REMAINING;
+  if (changed.players) flags |= HAS_PLAYERS;
+  if (changed.projectiles) flags |= HAS_PROJECTILES;
+  if (changed.pickups) flags |= HAS_PICKUPS;
+  if (changed.effects) flags |= HAS_EFFECTS;
+  if (hasRemoved) flags |= HAS_REMOVED;
+  w.u8(flags);
+
+  if (flags & HAS_PHASE) w.enumOf(PHASES, changed.phase);
+  if (flags & HAS_TICK) w.uvar(changed.tick);
+  if (flags & HAS_REMAINING) w.q(changed.remainingMs);
+  if (flags & HAS_PLAYERS) writePlayers(w, changed.players, slots);
+  if (flags & HAS_PROJECTILES) writeList(w, changed.projectiles, (pr) => writeProjectile(w, pr, slots));
+  if (flags & HAS_PICKUPS) writeList(w, changed.pickups, (pu) => writePickup(w, pu));
+  if (flags & HAS_EFFECTS) writeList(w, changed.effects, (fx) => writeEffect(w, fx, slots));
+  if (flags & HAS_REMOVED) {
+    writeList(w, removed.projectiles || [], (id) => writeProjectileId(w, id, slots));
+    writeList(w, removed.pickups || [], (id) => writeIndexedId(w, 'pu', id));
+    writeList(w, removed.effects || [], (id) => writeIndexedId(w, 'fx', id));
+  }
+  return w.finish();
+}
+
+/**
+ * Inverse of encodeStateFrame. slotIds is the slot -> player id array from
+ * the last snapshot (updated in place by snapshots). Returns { type, payload }.
+ */
+export function decodeStateFrame(buf, slotIds = []) {
+  const r = createReader(buf);
+  const version = r.u8();
+  if (version !== WIRE_VERSION) throw new Error(`Unsupported wire version ${version}`);
+  const kind = r.u8();
+  const payload = { server_tick: r.uvar(), server_ts: r.uvar(), network_tick: r.uvar(), ack_seq_by_player: {} };
+
+  const ackCount = r.uvar();
+  const acks = [];
+  for (let i = 0; i < ackCount; i++) acks.push([r.u8(), r.uvar()]);
+
+  if (kind === KIND_SNAPSHOT) {
+    const state = { phase: r.enumOf(PHASES), tick: r.uvar(), remainingMs: r.q() };
+    slotIds.length = 0;
+    state.players = readPlayers(r, slotIds);
+    state.projectiles = readList(r, () => readProjectile(r, slotIds));
+    state.pickups = readList(r, () => readPickup(r));
+    state.effects = readList(r, () => readEffect(r, slotIds));
+    payload.full_state = state;
+  } else if (kind === KIND_DELTA) {
+    payload.base_network_tick = payload.network_tick - r.uvar();
+    const flags = r.u8();
+    const changed = {};
+    const removed = { projectiles: [], pickups: [], effects: [] };
+    if (flags & HAS_PHASE) changed.phase = r.enumOf(PHASES);
+    if (flags & HAS_TICK) changed.tick = r.uvar();
+    if (flags & HAS_REMAINING) changed.remainingMs = r.q();
+    if (flags & HAS_PLAYERS) changed.players = readPlayers(r, slotIds);
+    if (flags & HAS_PROJECTILES) changed.projectiles = readList(r, () => readProjectile(r, slotIds));
+    if (flags & HAS_PICKUPS) changed.pickups = readList(r, () => readPickup(r));
+    if (flags & HAS_EFFECTS) changed.effects = readList(r, () => readEffect(r, slotIds));
+    if (flags & HAS_REMOVED) {
+      removed.projectiles = readList(r, () => readProjectileId(r, slotIds));
+      removed.pickups = readList(r, () => readIndexedId(r, 'pu'));
+      removed.effects = readList(r, () => readIndexedId(r, 'fx'));
+    }
+    payload.changed_entities = changed;
+    payload.removed_entities = removed;
+  } else {
+    throw new Error(`Unknown frame kind ${kind}`);
+  }
+
+  for (const [slot, seq] of acks) {
+    if (slotIds[slot] !== undefined) payload.ack_seq_by_player[slotIds[slot]] = seq;
+  }
+  return { type: kind === KIND_SNAPSHOT ? 'state_snapshot' : 'state_delta', payload };
+}
+
+function slotTable(state) {
+  const slots = new Map();
+  for (const [pid, p] of Object.entries(state?.players || {})) slots.set(pid, p.slot);
+  return slots;
+}
+
+function writeList(w, items, writeItem) {
+  w.uvar(items.length);
+  for (const item of items) writeItem(item);
+}
+
+function readList(r, readItem) {
+  const out = [];
+  const count = r.uvar();
+  for (let i = 0; i < count; i++) out.push(readItem());
+  return out;
+}
+
+/**
+ * Players keyed by id: full players (with id) in snapshots and when new,
+ * otherwise the changed fields only. Each goes as slot, mask, [id,] fields.
+ */
+function writePlayers(w, players, slots) {
+  const entries = Object.entries(players);
+  w.uvar(entries.length);
+  for (const [pid, p] of entries) {
+    const isNew = p.id !== undefined;
+    w.u8(isNew ? p.slot : slots.get(pid));
+    const mask = fieldMask(PLAYER_FIELDS, p);
+    w.uvar(isNew ? mask | PLAYER_NEW : mask);
+    if (isNew) w.str(p.id);
+    writeFields(w, PLAYER_FIELDS, p, mask, slots);
+  }
+}
+
+function readPlayers(r, slotIds) {
+  const players = {};
+  const count = r.uvar();
+  for (let i = 0; i < count; i++) {
+    const slot = r.u8();
+    const mask = r.uvar();
+    let p = {};
+    if (mask & PLAYER_NEW) {
+      p = { id: r.str(), slot };
+      slotIds[slot] = p.id;
+    }
+    const id = slotIds[slot];
+    if (id === undefined) throw new Error(`Delta for unknown slot ${slot}`);
+    players[id] = readFields(r, PLAYER_FIELDS, mask & ~PLAYER_NEW, slotIds, p);
+  }
+  return players;
+}
+
+function fieldMask(fields, entity) {
+  let mask = 0;
+  fields.forEach(([key], i) => {
+    if (entity[key] !== undefined) mask |= 1 << i;
+  });
+  return mask;
+}
+
+function writeFields(w, fields, entity, mask, slots) {
+  fields.forEach(([key, kind], i) => {
+    if (!(mask & (1 << i))) return;
+    const v = entity[key];
+    if (kind === 'q') w.q(v);
+    else if (kind === 'bool') w.u8(v ? 1 : 0);
+    else if (kind === 'uint') w.uvar(v);
+    else if (kind === 'item') w.enumOf(ITEM_TYPES, v);
+    else if (kind === 'string') w.enumOf([], v === null ? null : String(v));
+    else if (kind === 'owner') writeOwner(w, v, slots);
+  });
+}
+
+function readFields(r, fields, mask, slotIds, out) {
+  fields.forEach(([key, kind], i) => {
+    if (!(mask & (1 << i))) return;
+    if (kind === 'q') out[key] = r.q();
+    else if (kind === 'bool') out[key] = r.u8() === 1;
+    else if (kind === 'uint') out[key] = r.uvar();
+    else if (kind === 'item') out[key] = r.enumOf(ITEM_TYPES);
+    else if (kind === 'string') out[key] = r.enumOf([]);
+    else if (kind === 'owner') out[key] = readOwner(r, slotIds);
+  });
+  return out;
+}
+
+function writeOwner(w, ownerId, slots) {
+  if (slots.has(ownerId)) {
+    w.u8(slots.get(ownerId));
+    return;
+  }
+  w.u8(NO_SLOT);
+  w.str(ownerId);
+}
+
+function readOwner(r, slotIds) {
+  const slot = r.u8();
+  return slot === NO_SLOT ? r.str() : (slotIds[slot] ?? '');
+}
+
+/** Structured ids are "[bomb:]<tick>:<ownerId>:<counter>" with a seated owner. */
+function writeProjectileId(w, id, slots) {
+  const m = PROJECTILE_ID.exec(id);
+  if (!m || !slots.has(m[3])) {
+    w.u8(ID_RAW);
+    w.str(id);
+    return;
+  }
+  w.u8(m[1] ? ID_BOMB : 0);
+  w.uvar(Number(m[2]));
+  w.u8(slots.get(m[3]));
+  w.uvar(Number(m[4]));
+}
+
+function readProjectileId(r, slotIds) {
+  const flags = r.u8();
+  if (flags & ID_RAW) return r.str();
+  const tick = r.uvar();
+  const owner = slotIds[r.u8()] ?? '';
+  const counter = r.uvar();
+  return `${flags & ID_BOMB ? 'bomb:' : ''}${tick}:${owner}:${counter}`;
+}
+
+/** A new projectile in full, or a known one as its id plus the changed fields. */
+function writeProjectile(w, pr, slots) {
+  writeProjectileId(w, pr.id, slots);
+  const mask = fieldMask(PROJECTILE_FIELDS, pr);
+  w.uvar(mask);
+  writeFields(w, PROJECTILE_FIELDS, pr, mask, slots);
+}
+
+function readProjectile(r, slotIds) {
+  const id = readProjectileId(r, slotIds);
+  return readFields(r, PROJECTILE_FIELDS, r.uvar(), slotIds, { id });
+}
+
+/** Structured ids are "<prefix>:<tick>:<index>"; anything else goes as a string after a 0 marker. */
+function writeIndexedId(w, prefix, id) {
+  const m = INDEXED_ID.exec(id);
+  if (!m || m[1] !== prefix) {
+    w.uvar(0);
+    w.str(id);
+    return;
+  }
+  w.uvar(Number(m[2]) + 1);
+  w.uvar(Number(m[3]));
+}
+
+function readIndexedId(r, prefix) {
+  const tick = r.uvar();
+  return tick === 0 ? r.str() : `${prefix}:${tick - 1}:${r.uvar()}`;
+}
+
+function writePickup(w, pu) {
+  writeIndexedId(w, 'pu', pu.id);
+  w.q(pu.x);
+  w.q(pu.y);
+  w.enumOf(ITEM_TYPES, pu.type);
+}
+
+function readPickup(r) {
+  return { id: readIndexedId(r, 'pu'), x: r.q(), y: r.q(), type: r.enumOf(ITEM_TYPES) };
+}
+
+/** Effects are only ever sent whole, once, when they spawn. */
+function writeEffect(w, fx, slots) {
+  writeIndexedId(w, 'fx', fx.id);
+  w.enumOf(ITEM_TYPES, fx.type);
+  w.q(fx.x);
+  w.q(fx.y);
+  w.q(fx.radius);
+  writeOwner(w, fx.ownerId, slots);
+  w.q(fx.ttlMs);
+}
+
+function readEffect(r, slotIds) {
+  return {
+    id: readIndexedId(r, 'fx'),
+    type: r.enumOf(ITEM_TYPES),
+    x: r.q(),
+    y: r.q(),
+    radius: r.q(),
+    ownerId: readOwner(r, slotIds),
+    ttlMs: r.q(),
+  };
+}
+
+function createWriter() {
+  let buf = Buffer.allocUnsafe(1024);
+  let pos = 0;
+  const ensure = (n) => {
+    if (pos + n <= buf.length) return;
+    const next = Buffer.allocUnsafe(Math.max(buf.length * 2, pos + n));
+    buf.copy(next, 0, 0, pos);
+    buf = next;
+  };
+  const w = {
+    u8(v) {
+      ensure(1);
+      buf[pos++] = v & 0xff;
+    },
+    /** Unsigned varint; arithmetic rather than bit ops so values past 2^31 (timestamps) survive. */
+    uvar(v) {
+      let n = Math.max(0, Math.floor(Number(v) || 0));
+      ensure(10);
+      while (n >= 0x80) {
+        buf[pos++] = (n % 0x80) | 0x80;
+        n = Math.floor(n / 0x80);
+      }
+      buf[pos++] = n;
+    },
+    svar(v) {
+      const n = Math.round(Number(v) || 0);
+      w.uvar(n >= 0 ? n * 2 : -n * 2 - 1);
+    },
+    /** A number on the STATE_PRECISION grid. */
+    q(v) {
+      w.svar(Number(v || 0) * PRECISION);
+    },
+    str(s) {
+      const bytes = Buffer.from(String(s), 'utf-8');
+      w.uvar(bytes.length);
+      ensure(bytes.length);
+      bytes.copy(buf, pos);
+      pos += bytes.length;
+    },
+    enumOf(values, v) {
+      if (v === null || v === undefined) {
+        w.u8(ENUM_NULL);
+        return;
+      }
+      const i = values.indexOf(v);
+      if (i >= 0) {
+        w.u8(i);
+        return;
+      }
+      w.u8(ENUM_RAW);
+      w.str(v);
+    },
+    finish: () => buf.subarray(0, pos),
+  };
+  return w;
+}
+
+function createReader(input) {
+  const buf = Buffer.isBuffer(input) ? input : Buffer.from(input);
+  let pos = 0;
+  const r = {
+    u8() {
+      if (pos >= buf.length) throw new Error('Truncated frame');
+      return buf[pos++];
+    },
+    uvar() {
+      let n = 0;
+      let scale = 1;
+      for (;;) {
+        const b = r.u8();
+        n += (b & 0x7f) * scale;
+        if (b < 0x80) return n;
+        scale *= 0x80;
+      }
+    },
+    svar() {
+      const n = r.uvar();
+      return n % 2 === 0 ? n / 2 : -(n + 1) / 2;
+    },
+    q: () => r.svar() / PRECISION,
+    str() {
+      const len = r.uvar();
+      if (pos + len > buf.length) throw new Error('Truncated frame');
+      const s = buf.toString('utf-8', pos, pos + len);
+      pos += len;
+      return s;
+    },
+    enumOf(values) {
+      const i = r.u8();
+      if (i === ENUM_NULL) return null;
+      if (i === ENUM_RAW) return r.str();
+      return values[i] ?? null;
+    },
+  };
+  return r;
+}
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import vm from 'node:vm';
+import { decodeStateFrame, encodeStateFrame, quantize } from './wire.js';
+
+// The browser decoder, run as the page would load it.
+function loadSdkGame() {
+  const context = { TextDecoder, console };
+  vm.runInNewContext(fs.readFileSync(new URL('../public/usion-sdk.js', import.meta.url), 'utf-8'), context);
+  return context.Usion.game;
+}
+
+function toArrayBuffer(buf) {
+  return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+}
+
+// What a JSON client sees: undefined fields dropped.
+function asJson(payload) {
+  return JSON.parse(JSON.stringify(payload));
+}
+
+function player(id, slot, fields = {}) {
+  return {
+    id, slot, x: 120.5, y: 340.25, vx: -12.3456, vy: 0, angle: 1.5708, hp: 100, shield: 0, weaponLevel: 1,
+    alive: true, frozen: false, teamId: null, specialWeapon: null, specialUses: 0, laserActiveMs: 0,
+    ...fields,
+  };
+}
+
+const state = {
+  phase: 'playing',
+  tick: 300,
+  remainingMs: 175000,
+  players: {
+    alice: player('alice', 0, { hp: quantize(83.33333333), laserActiveMs: quantize(216.66666), specialWeapon: 'laser', specialUses: 2 }),
+    bob: player('bob', 1, { x: 800, angle: -3.1416, frozen: true, teamId: 'red' }),
+  },
+  projectiles: [
+    { id: '290:alice:7', ownerId: 'alice', x: 200, y: 100.0001, vx: 600, vy: -0.5, ttlMs: quantize(866.6666), fireSeq: 12, isBomb: false },
+    { id: 'bomb:295:bob:9', ownerId: 'bob', x: 640, y: 360, vx: 0, vy: 250, ttlMs: 1500, fireSeq: undefined, isBomb: true },
+  ],
+  pickups: [{ id: 'pu:120:3', x: 512, y: 256, type: 'bomb' }],
+  effects: [{ id: 'fx:299:4', type: 'nova', x: 640, y: 360, radius: 180, ownerId: 'bob', ttlMs: 400 }],
+};
+
+const snapshot = {
+  server_tick: 600,
+  server_ts: 1760000000000,
+  network_tick: 300,
+  ack_seq_by_player: { alice: 41, bob: 7 },
+  full_state: state,
+};
+
+const delta = {
+  server_tick: 602,
+  server_ts: 1760000000033,
+  network_tick: 301,
+  base_network_tick: 300,
+  ack_seq_by_player: { alice: 42 },
+  changed_entities: {
+    tick: 301,
+    remainingMs: quantize(174983.3333),
+    players: { alice: { x: 121.25, hp: quantize(80.8333333) }, bob: { alive: false } },
+    projectiles: [
+      { id: '290:alice:7', x: 210, ttlMs: quantize(850.0001) },
+      { id: '301:bob:10', ownerId: 'bob', x: 790, y: 350, vx: -600, vy: 0, ttlMs: 2000, fireSeq: 3, isBomb: false },
+    ],
+    effects: [{ id: 'fx:301:5', type: 'explosion', x: 10, y: 20, radius: 60, ownerId: 'departed', ttlMs: 300 }],
+  },
+  removed_entities: { projectiles: ['bomb:295:bob:9'], pickups: ['pu:120:3'], effects: ['fx:299:4'] },
+};
+
+test('quantize rounds to the 1e-4 grid', () => {
+  assert.equal(quantize(83.33333333), 83.3333);
+  assert.equal(quantize(-0.00006), -0.0001);
+  assert.equal(quantize(undefined), 0);
+});
+
+test('server decoder reproduces the JSON payloads', () => {
+  const slots = [];
+  assert.deepEqual(
+    decodeStateFrame(encodeStateFrame('state_snapshot', snapshot, state), slots),
+    { type: 'state_snapshot', payload: asJson(snapshot) },
+  );
+  assert.deepEqual(slots, ['alice', 'bob']);
+  assert.deepEqual(
+    decodeStateFrame(encodeStateFrame('state_delta', delta, state), slots),
+    { type: 'state_delta', payload: asJson(delta) },
+  );
+});
+
+test('SDK decoder reproduces the JSON payloads', () => {
+  const game = loadSdkGame();
+  // The fields binary frames leave out come from the room and `joined`.
+  const joined = { deploy_region: 'eu-west', sim_hz: 60, net_hz: 60 };
+  game.roomId = 'room-1';
+  game._lastJoinedPayload = joined;
+  const omitted = { room_id: 'room-1', protocol_version: '2', ...joined };
+
+  const decoded = game._decodeStateFrame(toArrayBuffer(encodeStateFrame('state_snapshot', snapshot, state)));
+  assert.deepEqual(asJson(decoded), { type: 'state_snapshot', payload: asJson({ ...omitted, ...snapshot }) });
+  const next = game._decodeStateFrame(toArrayBuffer(encodeStateFrame('state_delta', delta, state)));
+  assert.deepEqual(asJson(next), { type: 'state_delta', payload: asJson({ ...omitted, ...delta }) });
+});
+
+test('a delta before any snapshot is rejected', () => {
+  assert.throws(() => decodeStateFrame(encodeStateFrame('state_delta', delta, state), []), /unknown slot/);
+  assert.throws(() => loadSdkGame()._decodeStateFrame(toArrayBuffer(encodeStateFrame('state_delta', delta, state))));
+});
+
+test('a frame from another wire version is rejected', () => {
+  const frame = encodeStateFrame('state_snapshot', snapshot, state);
+  frame[0] += 1;
+  assert.throws(() => decodeStateFrame(frame, []), /Unsupported wire version/);
+  assert.throws(() => loadSdkGame()._decodeStateFrame(toArrayBuffer(frame)));
+});